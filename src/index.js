@@ -1,8 +1,13 @@
 require('dotenv').config();
 const express = require('express');
+const fs = require('fs');
 const path = require('path');
 const rateLimit = require('express-rate-limit');
 const SyncService = require('./modules/syncService');
+const SlackRequestVerifier = require('./modules/slackRequestVerifier');
+const SlackEventHandler = require('./modules/slackEventHandler');
+const SlackCommandHandler = require('./modules/slackCommandHandler');
+const SyncJobQueue = require('./modules/syncJobQueue');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -21,30 +26,101 @@ const apiLimiter = rateLimit({
   }
 });
 
-// Apply rate limiting to API routes, but exclude sync-progress (polled frequently)
+// Apply rate limiting to API routes, but exclude the sync progress endpoints
 app.use('/api/', (req, res, next) => {
-  // Skip rate limiting for sync-progress endpoint (polled every 500ms)
-  if (req.path === '/sync-progress') {
+  // sync-progress is polled every 500ms when /api/sync/events is unavailable, and the
+  // event stream is reopened by the browser whenever the connection drops
+  if (req.path === '/sync-progress' || req.path === '/sync/events') {
     return next();
   }
   return apiLimiter(req, res, next);
 });
 
 // Middleware
-app.use(express.json());
+// Keep the raw body: Slack request signatures are computed over the exact bytes sent
+const saveRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ verify: saveRawBody }));
+app.use(express.urlencoded({ extended: false, verify: saveRawBody })); // Slack slash commands and shortcuts
 app.use(express.static('public'));
 
+/**
+ * Load the multi-channel configuration file (CHANNELS_FILE), if configured
+ * @returns {Array|null} Channel configs or null to fall back to SLACK_CHANNEL_ID
+ */
+function loadChannels() {
+  if (!process.env.CHANNELS_FILE) {
+    return null;
+  }
+  const data = JSON.parse(fs.readFileSync(path.resolve(process.env.CHANNELS_FILE), 'utf8'));
+  return Array.isArray(data) ? data : data.channels;
+}
+
+/**
+ * Load the Slack-to-WordPress author overrides (AUTHORS_FILE), if configured
+ * @returns {Object} Slack user ID -> WordPress user ID, username or email
+ */
+function loadAuthorOverrides() {
+  if (!process.env.AUTHORS_FILE) {
+    return {};
+  }
+  const data = JSON.parse(fs.readFileSync(path.resolve(process.env.AUTHORS_FILE), 'utf8'));
+  return data.authors || data;
+}
+
+/**
+ * Load the category rules (TAXONOMY_RULES_FILE), if configured
+ * @returns {Array<Object>} Category rules
+ */
+function loadCategoryRules() {
+  if (!process.env.TAXONOMY_RULES_FILE) {
+    return [];
+  }
+  const data = JSON.parse(fs.readFileSync(path.resolve(process.env.TAXONOMY_RULES_FILE), 'utf8'));
+  return Array.isArray(data) ? data : (data.categoryRules || []);
+}
+
 // Initialize sync service
 const syncService = new SyncService({
   slackToken: process.env.SLACK_BOT_TOKEN,
   channelId: process.env.SLACK_CHANNEL_ID,
+  channels: loadChannels(),
   wordpressUrl: process.env.WORDPRESS_URL,
   wordpressUsername: process.env.WORDPRESS_USERNAME,
   wordpressPassword: process.env.WORDPRESS_PASSWORD,
+  wordpressPostType: process.env.WORDPRESS_POST_TYPE || 'post',
   stateFile: process.env.STATE_FILE || 'state.json',
-  markdownOutputDir: process.env.MARKDOWN_OUTPUT_DIR || './data/posts'
+  stateBackend: process.env.STATE_BACKEND || 'json',
+  stateDatabaseFile: process.env.STATE_DB_FILE || null,
+  stateBackupCount: process.env.STATE_BACKUP_COUNT ? parseInt(process.env.STATE_BACKUP_COUNT, 10) : 5,
+  stateBackupIntervalMinutes: parseInt(process.env.STATE_BACKUP_INTERVAL_MINUTES, 10) || 60,
+  markdownOutputDir: process.env.MARKDOWN_OUTPUT_DIR || './data/posts',
+  maxThreadReplies: parseInt(process.env.MAX_THREAD_REPLIES, 10) || 0,
+  anonymizeMentions: process.env.ANONYMIZE_MENTIONS === 'true',
+  postFormat: process.env.POST_FORMAT || 'classic',
+  postLinkReply: process.env.SLACK_POST_LINK_REPLY === 'true',
+  publishReaction: process.env.SLACK_PUBLISH_REACTION || null,
+  publishReactionUsers: (process.env.SLACK_PUBLISH_REACTION_USERS || '').split(',').map(id => id.trim()).filter(Boolean),
+  authorOverrides: loadAuthorOverrides(),
+  defaultAuthor: process.env.WORDPRESS_DEFAULT_AUTHOR || null,
+  matchAuthorsByEmail: process.env.MATCH_AUTHORS_BY_EMAIL !== 'false',
+  uploadImages: process.env.WORDPRESS_UPLOAD_IMAGES !== 'false',
+  conflictPolicy: process.env.WORDPRESS_CONFLICT_POLICY || 'skip',
+  missingPostPolicy: process.env.WORDPRESS_MISSING_POST_POLICY || 'retire',
+  hashtagTags: process.env.HASHTAG_TAGS !== 'false',
+  categoryRules: loadCategoryRules(),
+  slackConcurrency: parseInt(process.env.SLACK_CONCURRENCY, 10) || 4,
+  slackMaxRetries: process.env.SLACK_MAX_RETRIES !== undefined ? parseInt(process.env.SLACK_MAX_RETRIES, 10) : 5
 });
 
+const slackVerifier = new SlackRequestVerifier(process.env.SLACK_SIGNING_SECRET);
+const slackEventHandler = new SlackEventHandler(syncService, {
+  debounceMs: process.env.SLACK_EVENT_DEBOUNCE_MS !== undefined ? parseInt(process.env.SLACK_EVENT_DEBOUNCE_MS, 10) : 10000
+});
+const slackCommandHandler = new SlackCommandHandler(syncService);
+const syncJobs = new SyncJobQueue(syncService);
+
 // Initialize state manager
 let isInitialized = false;
 async function ensureInitialized() {
@@ -116,16 +192,101 @@ app.get('/api/sync-progress', async (req, res) => {
   }
 });
 
+/**
+ * Stream sync progress as Server-Sent Events
+ * "progress" carries the progress summary (null when no sync is running) on every change,
+ * "thread" the result of each synced thread. The current progress is sent on connect.
+ */
+app.get('/api/sync/events', async (req, res) => {
+  try {
+    await ensureInitialized();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const onProgress = progress => send('progress', progress);
+  const onThread = result => send('thread', result);
+  syncService.events.on('progress', onProgress);
+  syncService.events.on('thread', onThread);
+  // Comment lines keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+  send('progress', syncService.getProgressSummary());
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    syncService.events.off('progress', onProgress);
+    syncService.events.off('thread', onThread);
+  });
+});
+
+/**
+ * Get the sync history (post writes), newest first
+ * Optional query: ?channelId=C123&threadTs=1234.5678&limit=50
+ */
+app.get('/api/history', async (req, res) => {
+  try {
+    await ensureInitialized();
+    const history = syncService.stateManager.getSyncHistory({
+      channelId: req.query.channelId,
+      threadTs: req.query.threadTs,
+      limit: parseInt(req.query.limit, 10) || 100
+    });
+    res.json({
+      success: true,
+      history
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Sync all threads
+ * Queues a background sync job and responds right away with the job (see /api/jobs/:id).
+ * Optional body: { channelId, oldest, latest } - limit to one channel and/or a thread window
+ * (Slack timestamps or ISO dates); { force: true } - re-send threads that haven't changed
  */
 app.post('/api/sync', async (req, res) => {
   try {
     await ensureInitialized();
-    const results = await syncService.syncAll();
-    res.json({
+    const { channelId, oldest, latest, force } = req.body || {};
+    // Reject bad dates now, rather than failing the job once it runs
+    for (const [field, value] of Object.entries({ oldest, latest })) {
+      try {
+        syncService.slackService.toSlackTimestamp(value);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: `${field}: ${error.message}`
+        });
+      }
+    }
+    // Reject unknown channels before queueing
+    if (channelId && !syncService.channels.some(channel => channel.id === channelId)) {
+      return res.status(400).json({
+        success: false,
+        error: `channelId: ${channelId} is not a configured channel. Configured channels: ${syncService.channels.map(channel => channel.id).join(', ') || 'none'}`
+      });
+    }
+    const job = syncJobs.enqueue({ channelId, oldest, latest, force: Boolean(force) });
+    res.status(202).json({
       success: true,
-      results
+      job
     });
   } catch (error) {
     res.status(500).json({
@@ -135,14 +296,78 @@ app.post('/api/sync', async (req, res) => {
   }
 });
 
+/**
+ * List sync jobs, newest first (without their results)
+ */
+app.get('/api/jobs', (req, res) => {
+  res.json({
+    success: true,
+    jobs: syncJobs.getJobs()
+  });
+});
+
+/**
+ * Get a sync job with its progress (while running) or results (once finished)
+ */
+app.get('/api/jobs/:id', (req, res) => {
+  const job = syncJobs.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Sync job ${req.params.id} not found`
+    });
+  }
+  res.json({
+    success: true,
+    job
+  });
+});
+
+/**
+ * Cancel a sync job
+ * A queued job is dropped; a running job stops before its next step or thread and keeps its partial results.
+ */
+app.delete('/api/jobs/:id', (req, res) => {
+  try {
+    const job = syncJobs.cancel(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: `Sync job ${req.params.id} not found`
+      });
+    }
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    res.status(409).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Sync a specific thread
+ * The channel segment is optional and defaults to the first configured channel.
+ * An optional body { status, date } sets the post status or schedules the post;
+ * { conflictPolicy } decides what happens if the post was edited in WordPress;
+ * { missingPostPolicy } decides what happens if it was deleted or trashed (and un-retires the thread);
+ * { force: true } re-sends the thread even if it hasn't changed.
  */
-app.post('/api/sync/:threadTs', async (req, res) => {
+app.post(['/api/sync/:channelId/:threadTs', '/api/sync/:threadTs'], async (req, res) => {
   try {
     await ensureInitialized();
-    const { threadTs } = req.params;
-    const result = await syncService.syncThread(threadTs);
+    const { channelId, threadTs } = req.params;
+    const { status, date, conflictPolicy, missingPostPolicy, force } = req.body || {};
+    const result = await syncService.syncThread(threadTs, channelId, {
+      status,
+      date,
+      conflictPolicy,
+      missingPostPolicy,
+      force: Boolean(force)
+    });
     res.json({
       success: true,
       result
@@ -157,12 +382,13 @@ app.post('/api/sync/:threadTs', async (req, res) => {
 
 /**
  * Get LLM prompt for a specific thread
+ * The channel segment is optional and defaults to the first configured channel
  */
-app.get('/api/llm-prompt/:threadTs', async (req, res) => {
+app.get(['/api/llm-prompt/:channelId/:threadTs', '/api/llm-prompt/:threadTs'], async (req, res) => {
   try {
     await ensureInitialized();
-    const { threadTs } = req.params;
-    const promptData = await syncService.getLLMPrompt(threadTs);
+    const { channelId, threadTs } = req.params;
+    const promptData = await syncService.getLLMPrompt(threadTs, channelId);
     res.json({
       success: true,
       ...promptData
@@ -175,6 +401,82 @@ app.get('/api/llm-prompt/:threadTs', async (req, res) => {
   }
 });
 
+/**
+ * Rebuild thread-to-post mappings from WordPress post meta
+ * Optional body: { dryRun: true } - report without changing the state
+ */
+app.post('/api/reconcile', async (req, res) => {
+  try {
+    await ensureInitialized();
+    const report = await syncService.reconcile({ dryRun: Boolean(req.body?.dryRun) });
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Slack Events API endpoint
+ * Answers the URL verification handshake and re-syncs threads on message events.
+ * Slack expects a response within 3 seconds, so syncs run in the background.
+ */
+app.post('/slack/events', async (req, res) => {
+  const verification = slackVerifier.verify(req);
+  if (!verification.valid) {
+    console.warn('Rejected Slack event request:', verification.error);
+    return res.status(401).json({
+      success: false,
+      error: verification.error
+    });
+  }
+
+  try {
+    await ensureInitialized();
+    res.json(slackEventHandler.handlePayload(req.body || {}));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Slack slash command (/blog) and message shortcut ("Publish to WordPress") endpoint
+ * Acknowledges at once; the sync result follows as an ephemeral message via response_url.
+ */
+app.post('/slack/commands', async (req, res) => {
+  const verification = slackVerifier.verify(req);
+  if (!verification.valid) {
+    console.warn('Rejected Slack command request:', verification.error);
+    return res.status(401).json({
+      success: false,
+      error: verification.error
+    });
+  }
+
+  try {
+    await ensureInitialized();
+    const response = slackCommandHandler.handleRequest(req.body || {});
+    if (response) {
+      res.json(response);
+    } else {
+      res.status(200).end();
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
@@ -0,0 +1,131 @@
+/**
+ * Maps Slack users to WordPress users
+ *
+ * Manual overrides win; otherwise Slack and WordPress users are matched by email
+ * (needs the users:read.email Slack scope and a WordPress user allowed to list users).
+ * Unmapped users fall back to the default author, if one is configured.
+ */
+class AuthorMapper {
+  constructor(slackService, wordpressService, options = {}) {
+    this.slackService = slackService;
+    this.wordpressService = wordpressService;
+    this.overrides = options.overrides || {}; // Slack user ID -> WordPress user ID, username or email
+    this.defaultAuthor = options.defaultAuthor || null; // WordPress user ID, username or email
+    this.matchByEmail = options.matchByEmail !== false;
+    this.wordpressUsers = null; // Promise of the users from /wp/v2/users, loaded once
+    this.cache = new Map(); // Slack user ID -> WordPress user ID (or null)
+  }
+
+  /**
+   * Load all WordPress users (cached)
+   * A failed request is not cached, so the next lookup tries again.
+   * @returns {Promise<Array>} WordPress users
+   * @throws {Error} If the users cannot be listed
+   */
+  getWordPressUsers() {
+    // Cache the promise so concurrent lookups share one request
+    if (!this.wordpressUsers) {
+      this.wordpressUsers = this.wordpressService.getUsers()
+        .then(users => {
+          console.log(`Loaded ${users.length} WordPress users for author mapping`);
+          return users;
+        })
+        .catch(error => {
+          console.warn('Could not list WordPress users (authors can only be set through overrides and user IDs until it works again):', error.message);
+          this.wordpressUsers = null;
+          throw error;
+        });
+    }
+    return this.wordpressUsers;
+  }
+
+  /**
+   * Find a WordPress user by ID, username, slug or email
+   * @param {number|string} value - Configured WordPress user reference
+   * @returns {Promise<number|null>} WordPress user ID or null if not found
+   */
+  async findWordPressUser(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+      return Number(value);
+    }
+
+    const needle = String(value).toLowerCase();
+    const users = await this.getWordPressUsers();
+    const user = users.find(u =>
+      [u.username, u.slug, u.email].some(field => field && field.toLowerCase() === needle)
+    );
+    if (!user) {
+      console.warn(`WordPress user "${value}" not found`);
+      return null;
+    }
+    return user.id;
+  }
+
+  /**
+   * Resolve the WordPress author for a Slack user (without the default author fallback)
+   * Only answers are cached: a user whose lookup failed is looked up again next time.
+   * @param {string} slackUserId - Slack user ID
+   * @returns {Promise<number|null>} WordPress user ID or null if unmapped
+   * @throws {Error} If the WordPress users cannot be listed
+   */
+  async resolveAuthor(slackUserId) {
+    if (!slackUserId) {
+      return null;
+    }
+    if (this.cache.has(slackUserId)) {
+      return this.cache.get(slackUserId);
+    }
+
+    let wordpressUserId = null;
+    if (this.overrides[slackUserId] !== undefined) {
+      wordpressUserId = await this.findWordPressUser(this.overrides[slackUserId]);
+    } else if (this.matchByEmail) {
+      const email = await this.slackService.getUserEmail(slackUserId);
+      if (email) {
+        const users = await this.getWordPressUsers();
+        const match = users.find(u => u.email && u.email.toLowerCase() === email.toLowerCase());
+        wordpressUserId = match ? match.id : null;
+      }
+    }
+
+    this.cache.set(slackUserId, wordpressUserId);
+    return wordpressUserId;
+  }
+
+  /**
+   * Resolve the post author and contributors of a thread
+   * Users whose lookup fails are left unmapped and the result is flagged incomplete.
+   * @param {Array} messages - Thread messages (thread starter first)
+   * @returns {Promise<Object>} { author, contributors, incomplete } - author is a WordPress user ID (or null
+   *   to keep the application user); contributors lists reply authors as { slackUserId, wordpressUserId };
+   *   incomplete is true if a lookup failed
+   */
+  async getThreadAuthors(messages) {
+    let incomplete = false;
+    const lookup = async (resolve) => {
+      try {
+        return await resolve();
+      } catch (error) {
+        incomplete = true;
+        return null;
+      }
+    };
+
+    const starter = messages[0]?.user;
+    const author = (await lookup(() => this.resolveAuthor(starter))) ??
+      (await lookup(() => this.findWordPressUser(this.defaultAuthor)));
+
+    const replyAuthors = [...new Set(messages.slice(1).map(msg => msg.user).filter(id => id && id !== starter))];
+    const contributors = await Promise.all(replyAuthors.map(async (slackUserId) => ({
+      slackUserId,
+      wordpressUserId: await lookup(() => this.resolveAuthor(slackUserId))
+    })));
+
+    return { author, contributors, incomplete };
+  }
+}
+
+module.exports = AuthorMapper;
@@ -0,0 +1,147 @@
+const fs = require('fs').promises;
+const path = require('path');
+const RequestScheduler = require('./requestScheduler');
+
+class EmojiService {
+  constructor(slackClient, imageDownloader, cacheFile = './data/emoji-cache.json', options = {}) {
+    this.slackClient = slackClient;
+    this.imageDownloader = imageDownloader;
+    this.scheduler = options.scheduler || imageDownloader?.scheduler || new RequestScheduler();
+    this.cacheFile = path.resolve(cacheFile);
+    this.cacheTtlMs = (options.cacheTtlHours ?? 24) * 60 * 60 * 1000;
+    this.customEmoji = null; // name -> image URL or "alias:otherName"
+    this.customEmojiFetchedAt = 0; // When customEmoji was fetched, so a long-running server refreshes it
+    this.imageCache = new Map(); // image URL -> { path, dataUri }
+  }
+
+  /**
+   * Load the workspace's custom emoji list
+   * Uses the list in memory or the local cache file while it is fresh, so repeat syncs don't call
+   * emoji.list again; both expire after cacheTtlHours, so emoji added or changed in Slack show up.
+   * @returns {Promise<Object>} Map-like object of emoji name to URL or alias
+   */
+  async getCustomEmojiList() {
+    if (this.customEmoji && Date.now() - this.customEmojiFetchedAt < this.cacheTtlMs) {
+      return this.customEmoji;
+    }
+
+    try {
+      const cached = JSON.parse(await fs.readFile(this.cacheFile, 'utf8'));
+      const fetchedAt = new Date(cached.fetchedAt).getTime();
+      if (Date.now() - fetchedAt < this.cacheTtlMs) {
+        this.customEmoji = cached.emoji || {};
+        this.customEmojiFetchedAt = fetchedAt;
+        return this.customEmoji;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Could not read emoji cache, fetching emoji list again:', error.message);
+      }
+    }
+
+    try {
+      const result = await this.scheduler.schedule(() => this.slackClient.emoji.list(), 'emoji.list');
+      this.customEmoji = result.emoji || {};
+      this.customEmojiFetchedAt = Date.now();
+      await fs.mkdir(path.dirname(this.cacheFile), { recursive: true });
+      await fs.writeFile(this.cacheFile, JSON.stringify({
+        fetchedAt: new Date().toISOString(),
+        emoji: this.customEmoji
+      }, null, 2), 'utf8');
+      console.log(`Cached ${Object.keys(this.customEmoji).length} custom emoji`);
+    } catch (error) {
+      console.warn('Could not load custom emoji (add the emoji:read scope to render them):', error.message);
+      this.customEmoji = {};
+      this.customEmojiFetchedAt = Date.now();
+    }
+    return this.customEmoji;
+  }
+
+  /**
+   * Resolve a custom emoji name, following aliases
+   * @param {string} name - Emoji shortcode without colons
+   * @param {Object} list - Custom emoji list
+   * @returns {Object|null} { url } for an image, { aliasOf } for an alias of a standard emoji,
+   *   or null if the name is not a custom emoji
+   */
+  resolveCustomEmoji(name, list) {
+    if (!list[name]) {
+      return null;
+    }
+
+    let target = name;
+    const seen = new Set();
+    while (list[target] && list[target].startsWith('alias:') && !seen.has(target)) {
+      seen.add(target);
+      target = list[target].slice('alias:'.length);
+    }
+
+    if (!list[target]) {
+      return { aliasOf: target };
+    }
+    return /^https?:/.test(list[target]) ? { url: list[target] } : null;
+  }
+
+  /**
+   * Download the custom emoji used in a set of shortcodes
+   * @param {Iterable<string>} names - Emoji shortcodes found in messages and reactions
+   * @returns {Promise<Map<string, Object>>} Map of name to { path, dataUri } for custom emoji,
+   *   or { aliasOf } for aliases of standard emoji
+   */
+  async getCustomEmojiImages(names) {
+    const images = new Map();
+    const list = await this.getCustomEmojiList();
+
+    await Promise.all(Array.from(new Set(names)).map(async (name) => {
+      const resolved = this.resolveCustomEmoji(name, list);
+      if (!resolved) {
+        return;
+      }
+      if (resolved.aliasOf) {
+        images.set(name, resolved);
+        return;
+      }
+
+      // Keyed by URL, so an emoji whose image was replaced in Slack is downloaded again
+      if (this.imageCache.has(resolved.url)) {
+        images.set(name, this.imageCache.get(resolved.url));
+        return;
+      }
+
+      const download = await this.imageDownloader.downloadEmoji(name, resolved.url);
+      if (!download.success) {
+        return;
+      }
+
+      // Emoji are tiny, so they are embedded as data URIs in the WordPress HTML
+      const data = await fs.readFile(download.path);
+      const mimetype = this.getMimeType(download.path);
+      const image = {
+        path: download.path,
+        dataUri: `data:${mimetype};base64,${data.toString('base64')}`
+      };
+      this.imageCache.set(resolved.url, image);
+      images.set(name, image);
+    }));
+
+    return images;
+  }
+
+  /**
+   * Guess an image MIME type from its file extension
+   * @param {string} filePath - Image file path
+   * @returns {string} MIME type
+   */
+  getMimeType(filePath) {
+    const mimeMap = {
+      '.png': 'image/png',
+      '.gif': 'image/gif',
+      '.jpg': 'image/jpeg',
+      '.jpeg': 'image/jpeg',
+      '.webp': 'image/webp'
+    };
+    return mimeMap[path.extname(filePath).toLowerCase()] || 'image/png';
+  }
+}
+
+module.exports = EmojiService;
@@ -1,11 +1,14 @@
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const axios = require('axios');
 const https = require('https');
+const RequestScheduler = require('./requestScheduler');
 
 class ImageDownloader {
-  constructor(slackClient, baseDir = './data', token = null) {
+  constructor(slackClient, baseDir = './data', token = null, scheduler = null) {
     this.slackClient = slackClient;
+    this.scheduler = scheduler || new RequestScheduler(); // Shared with SlackService during syncs
     this.baseDir = baseDir;
     this.imagesDir = path.join(baseDir, 'images');
     // Get token from parameter, client options, or client directly
@@ -45,6 +48,8 @@ class ImageDownloader {
           url_private: file.url_private,
           url_private_download: file.url_private_download,
           mimetype: file.mimetype,
+          alt_txt: file.alt_txt,
+          title: file.title,
           size: file.size,
           thumb_64: file.thumb_64,
           thumb_360: file.thumb_360,
@@ -89,9 +94,11 @@ class ImageDownloader {
    * @param {string} threadTs - Thread timestamp
    * @param {string} messageTs - Message timestamp
    * @param {number} imageIndex - Index of image in message
+   * @param {Object} options - { signal } to abort the download
    * @returns {Promise<Object>} Download result with local path
    */
-  async downloadImage(image, threadTs, messageTs, imageIndex = 0) {
+  async downloadImage(image, threadTs, messageTs, imageIndex = 0, options = {}) {
+    let partPath = null;
     try {
       await this.init();
       
@@ -113,6 +120,9 @@ class ImageDownloader {
         console.log(`Image already exists: ${filename}`);
         return {
           success: true,
+          imageId: image.id,
+          mimetype: image.mimetype,
+          altText: image.alt_txt || image.title || '',
           path: filePath,
           relativePath: `../images/${threadTs.replace(/\./g, '-')}/${filename}`,
           filename: filename,
@@ -136,9 +146,9 @@ class ImageDownloader {
       // This ensures we have the latest URL and proper permissions
       if (this.slackClient && this.slackClient.files) {
         try {
-          const fileInfo = await this.slackClient.files.info({
+          const fileInfo = await this.scheduler.schedule(() => this.slackClient.files.info({
             file: image.id
-          });
+          }), 'files.info');
           if (fileInfo.file && fileInfo.file.url_private_download) {
             downloadUrl = fileInfo.file.url_private_download;
             console.log(`Got fresh download URL for file ${image.id}`);
@@ -150,10 +160,12 @@ class ImageDownloader {
       }
       
       // Download with proper headers - Slack requires Bearer token in Authorization header
-      const response = await axios({
+      // Scheduled so 429 (Retry-After), 5xx and connection errors are retried with backoff
+      const response = await this.scheduler.schedule(() => axios({
         method: 'get',
         url: downloadUrl,
         responseType: 'stream',
+        signal: options.signal,
         headers: {
           'Authorization': `Bearer ${token}`,
           'User-Agent': 'Slack-2-WordPress/1.0'
@@ -165,7 +177,7 @@ class ImageDownloader {
         validateStatus: function (status) {
           return status >= 200 && status < 400; // Accept redirects
         }
-      });
+      }), `download ${image.id}`, { holdUntilEnd: response => response.data });
       
       // Check content type to verify we're getting an image
       const contentType = response.headers['content-type'] || '';
@@ -178,8 +190,11 @@ class ImageDownloader {
       }
       
       // Write to file using streams - ensure binary mode
+      // The file gets its real name only once complete, so an aborted or failed download
+      // is never mistaken for a cached image by the next sync
       const { createWriteStream } = require('fs');
-      const writer = createWriteStream(filePath, { flags: 'w' }); // Binary by default for images
+      partPath = `${filePath}.part`;
+      const writer = createWriteStream(partPath, { flags: 'w' }); // Binary by default for images
       
       // Collect first chunk to validate it's an image, not HTML
       let firstChunk = null;
@@ -197,9 +212,8 @@ class ImageDownloader {
               textStart.toLowerCase().includes('error') ||
               textStart.toLowerCase().includes('unauthorized') ||
               textStart.toLowerCase().includes('forbidden')) {
-            writer.destroy();
-            response.data.destroy();
-            throw new Error(`Received HTML error page instead of image. First bytes: ${textStart.substring(0, 100)}. Check Slack authentication and file permissions.`);
+            // Fails the download through the response's error handler below
+            response.data.destroy(new Error(`Received HTML error page instead of image. First bytes: ${textStart.substring(0, 100)}. Check Slack authentication and file permissions.`));
           }
         }
       });
@@ -211,11 +225,26 @@ class ImageDownloader {
       await new Promise((resolve, reject) => {
         let resolved = false;
         
+        // Only our own listeners are removed: the request scheduler listens on the response
+        // stream to free the download's slot once the stream is done
+        const onResponseError = (err) => {
+          cleanup();
+          console.error(`Error downloading image ${image.id}:`, err);
+          writer.destroy();
+          reject(err);
+        };
+        // A response destroyed without an error (e.g. aborted) closes before it has ended
+        const onResponseClose = () => {
+          if (!response.data.readableEnded) {
+            onResponseError(new Error('Download was interrupted'));
+          }
+        };
         const cleanup = () => {
           if (!resolved) {
             resolved = true;
             writer.removeAllListeners();
-            response.data.removeAllListeners();
+            response.data.off('error', onResponseError);
+            response.data.off('close', onResponseClose);
           }
         };
         
@@ -227,16 +256,14 @@ class ImageDownloader {
         writer.once('error', (err) => {
           cleanup();
           console.error(`Error writing image file ${filename}:`, err);
+          response.data.destroy(); // Unpiped on error, so it would never end by itself
           reject(err);
         });
         
-        response.data.once('error', (err) => {
-          cleanup();
-          console.error(`Error downloading image ${image.id}:`, err);
-          writer.destroy();
-          reject(err);
-        });
+        response.data.once('error', onResponseError);
+        response.data.once('close', onResponseClose);
       });
+      await fs.rename(partPath, filePath);
       
       // Verify the downloaded file is actually an image
       const stats = await fs.stat(filePath);
@@ -286,6 +313,9 @@ class ImageDownloader {
       
       return {
         success: true,
+        imageId: image.id,
+        mimetype: image.mimetype,
+        altText: image.alt_txt || image.title || '',
         path: filePath,
         relativePath: `../images/${threadTs.replace(/\./g, '-')}/${filename}`,
         filename: filename,
@@ -293,6 +323,9 @@ class ImageDownloader {
         cached: false
       };
     } catch (error) {
+      if (partPath) {
+        await fs.unlink(partPath).catch(() => {}); // Gone already once renamed
+      }
       console.error(`Error downloading image ${image.id}:`, error.message);
       return {
         success: false,
@@ -306,9 +339,10 @@ class ImageDownloader {
    * Download all images from a message
    * @param {Object} message - Slack message object
    * @param {string} threadTs - Thread timestamp
+   * @param {Object} options - { signal } to abort the downloads
    * @returns {Promise<Array>} Array of download results
    */
-  async downloadMessageImages(message, threadTs) {
+  async downloadMessageImages(message, threadTs, options = {}) {
     const images = this.extractImages(message);
     
     if (images.length === 0) {
@@ -316,21 +350,22 @@ class ImageDownloader {
     }
     
     const downloadPromises = images.map((image, index) =>
-      this.downloadImage(image, threadTs, message.ts, index)
+      this.downloadImage(image, threadTs, message.ts, index, options)
     );
     
     return await Promise.all(downloadPromises);
   }
 
   /**
-   * Download all images from multiple messages in parallel
+   * Download all images from multiple messages in parallel (bounded by the request scheduler)
    * @param {Array} messages - Array of Slack message objects
    * @param {string} threadTs - Thread timestamp
+   * @param {Object} options - { signal } to abort the downloads
    * @returns {Promise<Array>} Array of download results grouped by message
    */
-  async downloadThreadImages(messages, threadTs) {
+  async downloadThreadImages(messages, threadTs, options = {}) {
     const downloadPromises = messages.map(async (message) => {
-      const results = await this.downloadMessageImages(message, threadTs);
+      const results = await this.downloadMessageImages(message, threadTs, options);
       return {
         messageTs: message.ts,
         images: results,
@@ -341,6 +376,56 @@ class ImageDownloader {
     return await Promise.all(downloadPromises);
   }
 
+  /**
+   * Download a custom workspace emoji image (cached on disk by name and URL)
+   * Slack gives a re-uploaded emoji a new URL, so replacing an emoji downloads it again.
+   * @param {string} name - Emoji shortcode without colons
+   * @param {string} url - Emoji image URL from emoji.list
+   * @returns {Promise<Object>} Download result with local path
+   */
+  async downloadEmoji(name, url) {
+    try {
+      const emojiDir = path.join(this.imagesDir, 'emoji');
+      await fs.mkdir(emojiDir, { recursive: true });
+
+      const ext = path.extname(new URL(url).pathname).toLowerCase() || '.png';
+      const urlHash = crypto.createHash('sha256').update(url).digest('hex').slice(0, 12);
+      const filename = `${name.replace(/[^a-zA-Z0-9_+-]/g, '_')}-${urlHash}${ext}`;
+      const filePath = path.join(emojiDir, filename);
+
+      try {
+        await fs.access(filePath);
+        return { success: true, path: filePath, filename, cached: true };
+      } catch {
+        // File doesn't exist, proceed with download
+      }
+
+      // Emoji images are served from a public CDN, so the Slack token is not sent along
+      const response = await this.scheduler.schedule(() => axios({
+        method: 'get',
+        url,
+        responseType: 'arraybuffer',
+        headers: {
+          'User-Agent': 'Slack-2-WordPress/1.0'
+        },
+        maxRedirects: 5
+      }), `download emoji ${name}`);
+
+      const contentType = response.headers['content-type'] || '';
+      if (contentType && !contentType.startsWith('image/')) {
+        throw new Error(`Expected an image but got ${contentType}`);
+      }
+
+      await fs.writeFile(filePath, Buffer.from(response.data));
+      console.log(`Downloaded custom emoji: ${filename}`);
+
+      return { success: true, path: filePath, filename, cached: false };
+    } catch (error) {
+      console.error(`Error downloading custom emoji ${name}:`, error.message);
+      return { success: false, name, error: error.message };
+    }
+  }
+
   /**
    * Get image markdown reference
    * @param {Object} downloadResult - Result from downloadImage
@@ -0,0 +1,419 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Sync history entries kept in the JSON file (oldest are dropped first)
+const MAX_HISTORY_ENTRIES = 1000;
+
+// MIGRATIONS[n] upgrades a state from version n to n + 1 (version 0 is a file without a version field).
+// To add or change mapping fields, append a migration; STATE_VERSION follows automatically.
+const MIGRATIONS = [
+  // 1: LLM prompts move out of the mappings into "prompts", sync history is added
+  state => {
+    const migrated = {
+      mappings: state.mappings || {},
+      prompts: state.prompts || {},
+      media: state.media || {},
+      history: state.history || []
+    };
+    Object.entries(migrated.mappings).forEach(([key, mapping]) => {
+      if (mapping.llmPrompt) {
+        migrated.prompts[key] = mapping.llmPrompt;
+      }
+      delete mapping.llmPrompt;
+    });
+    return migrated;
+  }
+];
+
+const STATE_VERSION = MIGRATIONS.length;
+
+/**
+ * Parse the contents of a state file
+ * @param {string} data - File contents
+ * @returns {Object} Parsed state
+ * @throws {Error} If the contents are not a JSON object
+ */
+function parseState(data) {
+  const state = JSON.parse(data);
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    throw new Error('not a JSON object');
+  }
+  return state;
+}
+
+/**
+ * Timestamp usable in file names, sorting in time order
+ * @returns {string} e.g. 2024-01-01T12-00-00-000Z
+ */
+function fileTimestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * State store backed by a single JSON file
+ *
+ * Everything is kept in memory and the whole file is rewritten on every change.
+ * Writes are queued, so concurrent changes can't overwrite each other on disk;
+ * changes made while a write is running are saved together by the next write.
+ *
+ * Each write goes to a temporary file that is renamed over the state file, so a crash
+ * never leaves a half-written state. The previous file is copied to a timestamped
+ * backup (state.json.<time>.bak) at most once per backup interval, and an unreadable
+ * or missing state file is replaced by the newest readable backup on load.
+ */
+class JsonStateStore {
+  /**
+   * @param {string} filePath - State file
+   * @param {Object} options - { backupCount (0 = no backups), backupIntervalMs }
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.backupCount = options.backupCount ?? 5;
+    this.backupIntervalMs = options.backupIntervalMs ?? 60 * 60 * 1000;
+    this.lastBackupAt = 0;
+    this.state = {
+      version: STATE_VERSION,
+      mappings: {}, // "channelId:threadTs" -> mapping
+      prompts: {}, // "channelId:threadTs" -> LLM prompt
+      media: {}, // Slack file ID -> { mediaId, url, uploadedAt }
+      history: [] // { channelId, threadTs, postId, action, syncedAt }, oldest first
+    };
+    this.currentWrite = Promise.resolve();
+    this.queuedWrite = null;
+  }
+
+  /**
+   * Load the state file
+   */
+  async init() {
+    if (!(await this.load())) {
+      console.log('No existing state file found, creating new one');
+      await this.save();
+    }
+  }
+
+  /**
+   * Load state from the JSON file
+   * An unreadable file is moved aside and the newest readable backup is used instead, and so is
+   * a missing file that has backups (e.g. deleted by accident).
+   * @returns {Promise<boolean>} True if the file existed or was recovered from a backup
+   */
+  async load() {
+    let data;
+    try {
+      data = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading state:', error);
+        throw error;
+      }
+      return this.recoverMissing();
+    }
+
+    const backups = await this.listBackups();
+    this.lastBackupAt = backups.length > 0 ? (await fs.stat(backups[0])).mtimeMs : 0;
+
+    let state;
+    try {
+      state = parseState(data);
+    } catch (error) {
+      state = await this.recover(error, backups);
+      this.state = this.migrate(state || {});
+      await this.save();
+      return true;
+    }
+
+    this.state = this.migrate(state);
+    return true;
+  }
+
+  /**
+   * Upgrade a loaded state to the current version
+   * @param {Object} state - Loaded state
+   * @returns {Object} State at STATE_VERSION
+   */
+  migrate(state) {
+    const version = state.version || 0;
+    if (version > STATE_VERSION) {
+      throw new Error(
+        `${this.filePath} was written by a newer version of the app (state version ${version}, ` +
+        `this version supports up to ${STATE_VERSION}). Upgrade the app or restore an older backup.`
+      );
+    }
+
+    let migrated = state;
+    for (let from = version; from < STATE_VERSION; from++) {
+      migrated = { ...MIGRATIONS[from](migrated), version: from + 1 };
+    }
+    if (version < STATE_VERSION) {
+      console.log(`Migrated state from version ${version} to ${STATE_VERSION}`);
+      this.lastBackupAt = 0; // Keep a backup of the old format before the first write
+    }
+    return migrated;
+  }
+
+  /**
+   * Replace an unreadable state file with the newest readable backup
+   * The unreadable file is kept as state.json.<time>.corrupt for inspection; like backups,
+   * only the newest backupCount of these are kept (at least the one just moved aside).
+   * @param {Error} error - Why the state file couldn't be read
+   * @param {Array<string>} backups - Backup files, newest first
+   * @returns {Promise<Object|null>} Recovered state, or null if no backup is readable
+   */
+  async recover(error, backups) {
+    const corruptFile = `${this.filePath}.${fileTimestamp()}.corrupt`;
+    await fs.rename(this.filePath, corruptFile);
+    console.error(`State file ${this.filePath} is unreadable (${error.message}), moved it to ${path.basename(corruptFile)}`);
+    const corruptFiles = await this.listBackups('.corrupt');
+    await Promise.all(corruptFiles.slice(Math.max(1, this.backupCount)).map(file => fs.unlink(file)));
+
+    return this.readNewestBackup(backups);
+  }
+
+  /**
+   * Recover a missing state file from the newest readable backup
+   * Without backups this is a first start, which keeps the default state.
+   * @returns {Promise<boolean>} True if a backup was loaded (and saved as the state file)
+   */
+  async recoverMissing() {
+    let backups;
+    try {
+      backups = await this.listBackups();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false; // The state directory doesn't exist yet
+      }
+      throw error;
+    }
+    if (backups.length === 0) {
+      return false;
+    }
+
+    console.error(`State file ${this.filePath} is missing, but ${backups.length} backup(s) exist`);
+    const state = await this.readNewestBackup(backups);
+    if (!state) {
+      return false;
+    }
+    this.lastBackupAt = (await fs.stat(backups[0])).mtimeMs;
+    this.state = this.migrate(state);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Read the newest readable backup
+   * @param {Array<string>} backups - Backup files, newest first
+   * @returns {Promise<Object|null>} State from the backup, or null if none is readable
+   */
+  async readNewestBackup(backups) {
+    for (const backup of backups) {
+      try {
+        const state = parseState(await fs.readFile(backup, 'utf8'));
+        console.warn(`Recovered state from backup ${path.basename(backup)}; changes made after it was taken are lost`);
+        return state;
+      } catch (backupError) {
+        console.warn(`Backup ${path.basename(backup)} is unreadable (${backupError.message}), trying an older one`);
+      }
+    }
+
+    console.error('No readable state backup found, starting with an empty state. Use "Reconcile with WordPress" to restore mappings from post meta.');
+    return null;
+  }
+
+  /**
+   * List the backups of the state file
+   * @param {string} suffix - '.bak' for backups, '.corrupt' for unreadable state files moved aside
+   * @returns {Promise<Array<string>>} Backup file paths, newest first
+   */
+  async listBackups(suffix = '.bak') {
+    const prefix = `${path.basename(this.filePath)}.`;
+    const files = await fs.readdir(path.dirname(this.filePath));
+    return files
+      .filter(file => file.startsWith(prefix) && file.endsWith(suffix))
+      .sort()
+      .reverse()
+      .map(file => path.join(path.dirname(this.filePath), file));
+  }
+
+  /**
+   * Copy the current state file to a timestamped backup and drop the oldest backups
+   */
+  async backup() {
+    try {
+      await fs.copyFile(this.filePath, `${this.filePath}.${fileTimestamp()}.bak`);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return; // Nothing written yet
+      }
+      throw error;
+    }
+    this.lastBackupAt = Date.now();
+
+    const backups = await this.listBackups();
+    await Promise.all(backups.slice(this.backupCount).map(backup => fs.unlink(backup)));
+  }
+
+  /**
+   * Save state to the JSON file
+   * Calls made while a write is running share the next write.
+   * @returns {Promise<void>} Resolves once a write started after this call has finished
+   */
+  save() {
+    if (!this.queuedWrite) {
+      this.queuedWrite = this.currentWrite.catch(() => {}).then(() => {
+        this.queuedWrite = null;
+        this.currentWrite = this.write();
+        return this.currentWrite;
+      });
+    }
+    return this.queuedWrite;
+  }
+
+  /**
+   * Write the current state to disk
+   * The state goes to a temporary file first, which then replaces the state file in one rename.
+   */
+  async write() {
+    const tempFile = `${this.filePath}.tmp`;
+    try {
+      if (this.backupCount > 0 && Date.now() - this.lastBackupAt >= this.backupIntervalMs) {
+        await this.backup();
+      }
+
+      const data = JSON.stringify({ version: STATE_VERSION, ...this.state }, null, 2);
+      const handle = await fs.open(tempFile, 'w');
+      try {
+        await handle.writeFile(data, 'utf8');
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.rename(tempFile, this.filePath);
+    } catch (error) {
+      console.error('Error saving state:', error);
+      await fs.unlink(tempFile).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Get a mapping by key
+   * @param {string} key - Mapping key
+   * @returns {Object|null} Mapping or null
+   */
+  getMapping(key) {
+    return this.state.mappings[key] || null;
+  }
+
+  /**
+   * Get all mappings, flagged with whether an LLM prompt is stored
+   * @returns {Object} Mappings keyed by mapping key, each with hasLlmPrompt
+   */
+  getAllMappings() {
+    const mappings = {};
+    Object.entries(this.state.mappings).forEach(([key, mapping]) => {
+      mappings[key] = { ...mapping, hasLlmPrompt: key in this.state.prompts };
+    });
+    return mappings;
+  }
+
+  /**
+   * Store a mapping (replaces the stored mapping)
+   * @param {string} key - Mapping key
+   * @param {Object} mapping - Mapping
+   */
+  async putMapping(key, mapping) {
+    this.state.mappings[key] = mapping;
+    await this.save();
+  }
+
+  /**
+   * Remove a mapping and its LLM prompt
+   * @param {string} key - Mapping key
+   */
+  async deleteMapping(key) {
+    delete this.state.mappings[key];
+    delete this.state.prompts[key];
+    await this.save();
+  }
+
+  /**
+   * Get the LLM prompt of a mapping
+   * @param {string} key - Mapping key
+   * @returns {string|null} Prompt or null
+   */
+  getPrompt(key) {
+    return this.state.prompts[key] || null;
+  }
+
+  /**
+   * Store the LLM prompt of a mapping
+   * @param {string} key - Mapping key
+   * @param {string} prompt - Prompt text
+   */
+  async putPrompt(key, prompt) {
+    this.state.prompts[key] = prompt;
+    await this.save();
+  }
+
+  /**
+   * Get a media upload by Slack file ID
+   * @param {string} fileId - Slack file ID
+   * @returns {Object|null} { mediaId, url, uploadedAt } or null
+   */
+  getMedia(fileId) {
+    return this.state.media[fileId] || null;
+  }
+
+  /**
+   * Store a media upload
+   * @param {string} fileId - Slack file ID
+   * @param {Object} media - { mediaId, url, uploadedAt }
+   */
+  async putMedia(fileId, media) {
+    this.state.media[fileId] = media;
+    await this.save();
+  }
+
+  /**
+   * Append a sync history entry
+   * @param {Object} entry - { channelId, threadTs, postId, action, syncedAt }
+   */
+  async addHistory(entry) {
+    this.state.history.push(entry);
+    if (this.state.history.length > MAX_HISTORY_ENTRIES) {
+      this.state.history.splice(0, this.state.history.length - MAX_HISTORY_ENTRIES);
+    }
+    await this.save();
+  }
+
+  /**
+   * Store a synced mapping, its LLM prompt and its history entry in one write
+   * @param {string} key - Mapping key
+   * @param {Object} mapping - Mapping (replaces the stored mapping)
+   * @param {string|null} prompt - Prompt text, or null to keep the stored prompt
+   * @param {Object} entry - { channelId, threadTs, postId, action, syncedAt }
+   */
+  async putSyncResult(key, mapping, prompt, entry) {
+    this.state.mappings[key] = mapping;
+    if (prompt) {
+      this.state.prompts[key] = prompt;
+    }
+    await this.addHistory(entry);
+  }
+
+  /**
+   * Get sync history entries, newest first
+   * @param {Object} filter - { channelId, threadTs, limit }
+   * @returns {Array} History entries
+   */
+  getHistory(filter = {}) {
+    return this.state.history
+      .filter(entry => (!filter.channelId || entry.channelId === filter.channelId) &&
+        (!filter.threadTs || entry.threadTs === filter.threadTs))
+      .reverse()
+      .slice(0, filter.limit || 100);
+  }
+}
+
+module.exports = JsonStateStore;
@@ -1,10 +1,13 @@
 const fs = require('fs').promises;
 const path = require('path');
+const MrkdwnFormatter = require('./mrkdwnFormatter');
 
 class MarkdownExporter {
-  constructor(outputDir = './data/posts', imageDownloader = null) {
+  constructor(outputDir = './data/posts', imageDownloader = null, slackService = null) {
     this.outputDir = outputDir;
     this.imageDownloader = imageDownloader;
+    this.slackService = slackService; // Titles are built like the WordPress post titles
+    this.formatter = new MrkdwnFormatter();
   }
 
   /**
@@ -25,15 +28,17 @@ class MarkdownExporter {
    * @param {string} threadTs - Thread timestamp
    * @param {Array} imageDownloads - Array of image download results (optional)
    * @param {Map<string, string>} userMap - Map of user ID to real name (optional)
+   * @param {Object} mentionContext - Channel/usergroup names, custom emoji and anonymize (optional)
    * @returns {string} Markdown content
    */
-  formatThreadAsMarkdown(messages, threadTs, imageDownloads = null, userMap = null) {
+  formatThreadAsMarkdown(messages, threadTs, imageDownloads = null, userMap = null, mentionContext = null) {
     if (!messages || messages.length === 0) {
       throw new Error('No messages to format');
     }
 
+    const context = this.createRenderContext(userMap, mentionContext);
     const firstMessage = messages[0];
-    const title = this.extractTitle(firstMessage.text);
+    const title = this.extractTitle(firstMessage.text, context);
     const date = new Date(parseFloat(threadTs) * 1000).toISOString().split('T')[0];
     
     let markdown = `# ${title}\n\n`;
@@ -49,11 +54,13 @@ class MarkdownExporter {
         markdown += `## Reply ${index}\n\n`;
       }
       
-      // Resolve user name if userMap is provided
+      // Resolve user name if userMap is provided (or its pseudonym when mentions are anonymized)
       let userName = 'Unknown';
       if (msg.user) {
-        if (userMap && userMap.has(msg.user)) {
-          userName = userMap.get(msg.user);
+        if (context.anonymize) {
+          userName = this.formatter.getMentionText({ type: 'user', id: msg.user, label: null }, context).replace(/^@/, '');
+        } else if (context.users.has(msg.user)) {
+          userName = context.users.get(msg.user);
         } else {
           userName = msg.user; // Fallback to user ID if not in map
         }
@@ -63,7 +70,11 @@ class MarkdownExporter {
         const msgDate = new Date(parseFloat(msg.ts) * 1000).toLocaleString();
         markdown += `**Time:** ${msgDate}\n`;
       }
-      markdown += `\n${this.formatMessageText(msg.text)}\n\n`;
+      markdown += `\n${this.formatMessage(msg, context)}\n\n`;
+      const reactions = this.formatter.renderReactionsMarkdown(msg.reactions, context);
+      if (reactions) {
+        markdown += `${reactions}\n\n`;
+      }
       
       // Add images if available
       if (imageDownloads && imageDownloads[index]) {
@@ -71,7 +82,7 @@ class MarkdownExporter {
         msgImages.forEach(imageResult => {
           if (imageResult.success) {
             const altText = imageResult.filename || 'Image';
-            markdown += `![${altText}](${imageResult.relativePath})\n\n`;
+            markdown += `![${altText}](${this.getImageRelativePath(imageResult)})\n\n`;
           }
         });
       }
@@ -81,44 +92,63 @@ class MarkdownExporter {
   }
 
   /**
-   * Extract title from first message
+   * Get an image path relative to this exporter's output directory
+   * Channels can export into subfolders, so the downloader's relativePath (relative
+   * to the default posts folder) is only used when no absolute path is known.
+   * @param {Object} imageResult - Result from ImageDownloader.downloadImage
+   * @returns {string} Relative path with forward slashes
+   */
+  getImageRelativePath(imageResult) {
+    if (!imageResult.path) {
+      return imageResult.relativePath;
+    }
+    return path.relative(path.resolve(this.outputDir), path.resolve(imageResult.path)).split(path.sep).join('/');
+  }
+
+  /**
+   * Build the render context of one thread
+   * Every thread gets its own pseudonyms, numbered from its title on, like the WordPress post.
+   * @param {Map<string, string>} userMap - Map of user ID to real name (optional)
+   * @param {Object} mentionContext - Channel/usergroup names, custom emoji and anonymize (optional)
+   * @returns {Object} Render context for the formatter
+   */
+  createRenderContext(userMap = null, mentionContext = null) {
+    return {
+      ...mentionContext,
+      users: userMap || mentionContext?.users || new Map(),
+      anonymousNames: new Map(),
+      resolveImagePath: imagePath => this.getImageRelativePath({ path: imagePath })
+    };
+  }
+
+  /**
+   * Extract title from first message, the same way as the WordPress post title
    * @param {string} text - Message text
-   * @returns {string} Title
+   * @param {Object} context - Render context from createRenderContext (optional)
+   * @returns {string} Title as plain text
+   */
+  extractTitle(text, context = this.createRenderContext()) {
+    return this.slackService.extractTitle(text, context) || 'Untitled';
+  }
+
+  /**
+   * Format a message as Markdown, preferring rich_text blocks over the plain text
+   * @param {Object} message - Slack message object
+   * @param {Object} context - Mention context (optional)
+   * @returns {string} Formatted text
    */
-  extractTitle(text) {
-    const firstLine = text.split('\n')[0].trim();
-    // Remove markdown headers if present
-    const cleaned = firstLine.replace(/^#+\s*/, '').trim();
-    return cleaned.length > 100 ? cleaned.substring(0, 100) + '...' : cleaned || 'Untitled';
+  formatMessage(message, context = {}) {
+    return this.formatter.messageToMarkdown(message, context);
   }
 
   /**
-   * Format message text, preserving formatting
+   * Convert Slack mrkdwn to Markdown (same parser as the WordPress HTML output)
    * @param {string} text - Message text
    * @returns {string} Formatted text
    */
   formatMessageText(text) {
     if (!text) return '';
-    
-    // Preserve line breaks
-    let formatted = text;
-    
-    // Convert Slack mentions to markdown
-    formatted = formatted.replace(/<@([A-Z0-9]+)\|([^>]+)>/g, '@$2');
-    formatted = formatted.replace(/<@([A-Z0-9]+)>/g, '@user');
-    
-    // Convert Slack channels to markdown
-    formatted = formatted.replace(/<#([A-Z0-9]+)\|([^>]+)>/g, '#$2');
-    formatted = formatted.replace(/<#([A-Z0-9]+)>/g, '#channel');
-    
-    // Convert URLs
-    formatted = formatted.replace(/<([^|>]+)\|([^>]+)>/g, '[$2]($1)');
-    formatted = formatted.replace(/<([^>]+)>/g, '$1');
-    
-    // Preserve code blocks
-    formatted = formatted.replace(/```([^`]+)```/g, '```\n$1\n```');
-    
-    return formatted;
+    return this.formatter.toMarkdown(text);
   }
 
   /**
@@ -144,15 +174,17 @@ class MarkdownExporter {
    * @param {Array} messages - Thread messages
    * @param {string} threadTs - Thread timestamp
    * @param {Array} imageDownloads - Array of image download results (optional)
+   * @param {Map<string, string>} userMap - Map of user ID to real name (optional)
+   * @param {Object} mentionContext - Channel/usergroup names, custom emoji and anonymize (optional)
    * @returns {string} Template markdown content
    */
-  formatSummaryTemplate(messages, threadTs, imageDownloads = null) {
+  formatSummaryTemplate(messages, threadTs, imageDownloads = null, userMap = null, mentionContext = null) {
     if (!messages || messages.length === 0) {
       throw new Error('No messages to format');
     }
 
     const firstMessage = messages[0];
-    const title = this.extractTitle(firstMessage.text);
+    const title = this.extractTitle(firstMessage.text, this.createRenderContext(userMap, mentionContext));
     const date = new Date(parseFloat(threadTs) * 1000).toISOString().split('T')[0];
     
     let template = `# AI Summary Template for: ${title}\n\n`;
@@ -174,7 +206,7 @@ class MarkdownExporter {
             if (imageResult.success) {
               allImages.push({
                 filename: imageResult.filename,
-                relativePath: imageResult.relativePath
+                relativePath: this.getImageRelativePath(imageResult)
               });
             }
           });
@@ -211,13 +243,15 @@ class MarkdownExporter {
    * @param {string} threadTs - Thread timestamp
    * @param {Array} imageDownloads - Array of image download results (optional)
    * @param {string} baseFilename - Base filename of the main markdown file
+   * @param {Map<string, string>} userMap - Map of user ID to real name (optional)
+   * @param {Object} mentionContext - Channel/usergroup names, custom emoji and anonymize (optional)
    * @returns {Promise<Object>} Template file info
    */
-  async exportSummaryTemplate(messages, threadTs, imageDownloads = null, baseFilename = null) {
+  async exportSummaryTemplate(messages, threadTs, imageDownloads = null, baseFilename = null, userMap = null, mentionContext = null) {
     try {
       await this.init();
       
-      const title = this.extractTitle(messages[0].text);
+      const title = this.extractTitle(messages[0].text, this.createRenderContext(userMap, mentionContext));
       const filename = baseFilename || this.generateFilename(title, threadTs);
       const templateFilename = this.generateTemplateFilename(filename);
       const templatePath = path.join(this.outputDir, templateFilename);
@@ -238,7 +272,7 @@ class MarkdownExporter {
         // File doesn't exist, proceed with creation
       }
       
-      const template = this.formatSummaryTemplate(messages, threadTs, imageDownloads);
+      const template = this.formatSummaryTemplate(messages, threadTs, imageDownloads, userMap, mentionContext);
       await fs.writeFile(templatePath, template, 'utf8');
       
       console.log(`Created summary template: ${templateFilename}`);
@@ -263,14 +297,15 @@ class MarkdownExporter {
    * @param {string} threadTs - Thread timestamp
    * @param {Array} imageDownloads - Array of image download results (optional)
    * @param {Map<string, string>} userMap - Map of user ID to real name (optional)
+   * @param {Object} mentionContext - Channel/usergroup names, custom emoji and anonymize (optional)
    * @returns {Promise<string>} Path to the created file
    */
-  async exportThread(messages, threadTs, imageDownloads = null, userMap = null) {
+  async exportThread(messages, threadTs, imageDownloads = null, userMap = null, mentionContext = null) {
     try {
       await this.init();
       
-      const markdown = this.formatThreadAsMarkdown(messages, threadTs, imageDownloads, userMap);
-      const title = this.extractTitle(messages[0].text);
+      const markdown = this.formatThreadAsMarkdown(messages, threadTs, imageDownloads, userMap, mentionContext);
+      const title = this.extractTitle(messages[0].text, this.createRenderContext(userMap, mentionContext));
       const filename = this.generateFilename(title, threadTs);
       const filePath = path.join(this.outputDir, filename);
       
@@ -279,7 +314,7 @@ class MarkdownExporter {
       // Also create the summary template (only if it doesn't exist)
       let summaryTemplateResult = null;
       try {
-        summaryTemplateResult = await this.exportSummaryTemplate(messages, threadTs, imageDownloads, filename);
+        summaryTemplateResult = await this.exportSummaryTemplate(messages, threadTs, imageDownloads, filename, userMap, mentionContext);
       } catch (templateError) {
         // Don't fail the main export if template creation fails
         console.warn(`Failed to create summary template for ${threadTs}:`, templateError.message);
@@ -300,13 +335,13 @@ class MarkdownExporter {
 
   /**
    * Export multiple threads in parallel
-   * @param {Array} threads - Array of {messages, threadTs, imageDownloads, userMap} objects
+   * @param {Array} threads - Array of {messages, threadTs, imageDownloads, userMap, mentionContext} objects
    * @returns {Promise<Array>} Array of export results
    */
   async exportThreadsParallel(threads) {
     // Use Promise.allSettled to ensure all exports are attempted, even if some fail
-    const exportPromises = threads.map(({ messages, threadTs, imageDownloads, userMap }) =>
-      this.exportThread(messages, threadTs, imageDownloads, userMap)
+    const exportPromises = threads.map(({ messages, threadTs, imageDownloads, userMap, mentionContext }) =>
+      this.exportThread(messages, threadTs, imageDownloads, userMap, mentionContext)
         .then(result => ({ ...result, success: true, threadTs }))
         .catch(error => {
           console.error(`Failed to export thread ${threadTs} to markdown:`, error.message);
@@ -0,0 +1,79 @@
+/**
+ * Uploads downloaded thread images to the WordPress media library
+ *
+ * Uploads are remembered in state by Slack file ID, so an image is uploaded once and
+ * reused by every later sync (and by any other thread that shares the file).
+ */
+class MediaUploader {
+  constructor(wordpressService, stateManager) {
+    this.wordpressService = wordpressService;
+    this.stateManager = stateManager;
+  }
+
+  /**
+   * Upload all successfully downloaded images of a thread
+   * Uploads run one at a time so a file shared by two messages is never uploaded twice.
+   * @param {Array} imageDownloads - Result of ImageDownloader.downloadThreadImages
+   * @returns {Promise<Object>} { images, uploaded, failed } - images maps message ts to
+   *   [{ mediaId, url, alt }] in message order; uploaded counts new uploads; failed counts
+   *   images left out because their download or upload failed
+   */
+  async uploadThreadImages(imageDownloads) {
+    const images = new Map();
+    let uploaded = 0;
+    let failed = 0;
+
+    for (const messageDownloads of imageDownloads) {
+      const messageImages = [];
+      for (const download of messageDownloads.images || []) {
+        if (!download.success) {
+          failed++;
+          continue;
+        }
+        const media = await this.uploadImage(download);
+        if (media) {
+          if (!media.reused) {
+            uploaded++;
+          }
+          messageImages.push(media);
+        } else {
+          failed++;
+        }
+      }
+      if (messageImages.length > 0) {
+        images.set(messageDownloads.messageTs, messageImages);
+      }
+    }
+
+    return { images, uploaded, failed };
+  }
+
+  /**
+   * Upload one image, or reuse the earlier upload of the same Slack file
+   * @param {Object} download - Successful ImageDownloader result (imageId, path, mimetype, altText)
+   * @returns {Promise<Object|null>} { mediaId, url, alt, reused } or null if the upload failed
+   */
+  async uploadImage(download) {
+    const alt = download.altText || '';
+    const existing = this.stateManager.getMedia(download.imageId);
+    if (existing) {
+      return { mediaId: existing.mediaId, url: existing.url, alt, reused: true };
+    }
+
+    try {
+      const media = await this.wordpressService.uploadMedia(download.path, {
+        mimetype: download.mimetype,
+        altText: alt
+      });
+      await this.stateManager.setMedia(download.imageId, { mediaId: media.id, url: media.url });
+      console.log(`Uploaded image ${download.filename} to WordPress media library (ID ${media.id})`);
+      return { mediaId: media.id, url: media.url, alt, reused: false };
+    } catch (error) {
+      // A failed upload leaves the image out of the post but must not fail the sync
+      console.warn(`Could not upload image ${download.filename} to WordPress:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = MediaUploader;
@@ -0,0 +1,827 @@
+/**
+ * Slack mrkdwn parser and renderers
+ *
+ * Slack message text is parsed once into a small node tree, which is then rendered
+ * to HTML or Gutenberg block markup (WordPress) or Markdown (markdown export). All
+ * outputs share the parser, so formatting always agrees between them. Messages carrying Block Kit rich_text
+ * are converted to the same nodes by RichTextParser.
+ *
+ * Renderers accept an optional context used to resolve mentions and custom emoji:
+ *   { users: Map<id, name>, channels: Map<id, name>, usergroups: Map<id, handle>,
+ *     anonymize: boolean, anonymousNames: Map<id, pseudonym>,
+ *     customEmoji: Map<name, { path, dataUri } | { aliasOf }>, resolveImagePath: (absolutePath) => string }
+ *
+ * Block nodes:  paragraph { children }, code_block { value }, quote { children },
+ *               list { ordered, indent, items: [[inline]] }
+ * Inline nodes: text { value }, bold/italic/strike { children }, code { value },
+ *               link { url, label }, user { id, label }, channel { id, label },
+ *               usergroup { id, label }, special { name }, emoji { name, unicode, skinTone }, br
+ */
+
+const emojiData = require('emoji-datasource');
+const RichTextParser = require('./richTextParser');
+
+// Slack escapes only these three characters in message text
+const SLACK_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>' };
+
+// Angle-bracket tokens, inline code and the three emphasis styles. Emphasis markers
+// must not touch word characters on the outside or whitespace on the inside.
+const INLINE_PATTERN = new RegExp([
+  '<([^<>\\n]+)>',
+  '`([^`\\n]+)`',
+  '(?<![\\w*])\\*(?!\\s)([^*\\n]+?)(?<!\\s)\\*(?![\\w*])',
+  '(?<![\\w_])_(?!\\s)([^_\\n]+?)(?<!\\s)_(?![\\w_])',
+  '(?<![\\w~])~(?!\\s)([^~\\n]+?)(?<!\\s)~(?![\\w~])',
+  ':([a-z0-9_+\'-]+):(?::skin-tone-([2-6]):)?'
+].join('|'), 'g');
+
+// A #hashtag starts at a word boundary and needs at least one letter (so "#1" is not a tag).
+// Channel links are <#C123> tokens, never plain text, so they can't match.
+const HASHTAG_PATTERN = /(^|[\s(\[])#([\p{L}\p{N}_-]*\p{L}[\p{L}\p{N}_-]*)/gu;
+
+// Slack's :skin-tone-N: suffixes map to the Fitzpatrick modifiers used by emoji-datasource
+const SKIN_TONES = { 2: '1F3FB', 3: '1F3FC', 4: '1F3FD', 5: '1F3FE', 6: '1F3FF' };
+
+// Shortcode -> emoji-datasource entry, built on first use
+let emojiIndex = null;
+
+const QUOTE_PATTERN = /^(?:&gt;|>)\s?/;
+const BULLET_PATTERN = /^\s*[•◦▪\-*]\s+/;
+const ORDERED_PATTERN = /^\s*\d+[.)]\s+/;
+const SAFE_URL_PATTERN = /^(https?:|mailto:)/i;
+
+class MrkdwnFormatter {
+  constructor() {
+    this.richTextParser = new RichTextParser();
+  }
+
+  /**
+   * Decode the HTML entities Slack uses in message text
+   * @param {string} text - Slack-escaped text
+   * @returns {string} Decoded text
+   */
+  decodeEntities(text) {
+    return text.replace(/&(amp|lt|gt);/g, entity => SLACK_ENTITIES[entity]);
+  }
+
+  /**
+   * Escape HTML special characters
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    const map = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;'
+    };
+    return String(text).replace(/[&<>"']/g, m => map[m]);
+  }
+
+  /**
+   * Parse a Slack message, preferring its rich_text blocks over the plain text fallback
+   * @param {Object} message - Slack message object
+   * @returns {Array} Block nodes
+   */
+  parseMessage(message) {
+    if (this.richTextParser.hasRichText(message)) {
+      const blocks = this.richTextParser.parseBlocks(message.blocks);
+      if (blocks.length > 0) {
+        return blocks;
+      }
+    }
+    return this.parse(message?.text);
+  }
+
+  /**
+   * Parse Slack mrkdwn text into block nodes
+   * @param {string} text - Slack message text
+   * @returns {Array} Block nodes
+   */
+  parse(text) {
+    if (!text) {
+      return [];
+    }
+
+    // Code fences may start mid-line; everything between a pair of ``` is literal
+    const segments = text.split('```');
+    const blocks = [];
+    segments.forEach((segment, index) => {
+      const isCode = index % 2 === 1 && index < segments.length - 1;
+      if (isCode) {
+        const value = this.decodeEntities(segment.replace(/^\n/, '').replace(/\n$/, ''));
+        blocks.push({ type: 'code_block', value });
+      } else {
+        // An unmatched trailing fence is kept as literal text
+        const content = index % 2 === 1 ? '```' + segment : segment;
+        blocks.push(...this.parseLines(content.split('\n')));
+      }
+    });
+    return blocks;
+  }
+
+  /**
+   * Group lines into paragraphs, quotes and lists
+   * @param {Array<string>} lines - Text lines (no code fences)
+   * @returns {Array} Block nodes
+   */
+  parseLines(lines) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (line.trim() === '') {
+        i++;
+        continue;
+      }
+
+      if (QUOTE_PATTERN.test(line)) {
+        const quoted = [];
+        while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+          quoted.push(lines[i].replace(QUOTE_PATTERN, ''));
+          i++;
+        }
+        blocks.push({ type: 'quote', children: this.parseLines(quoted) });
+        continue;
+      }
+
+      const listPattern = BULLET_PATTERN.test(line) ? BULLET_PATTERN : (ORDERED_PATTERN.test(line) ? ORDERED_PATTERN : null);
+      if (listPattern) {
+        const items = [];
+        while (i < lines.length && listPattern.test(lines[i])) {
+          items.push(this.parseInline(lines[i].replace(listPattern, '')));
+          i++;
+        }
+        blocks.push({ type: 'list', ordered: listPattern === ORDERED_PATTERN, items });
+        continue;
+      }
+
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() !== '' &&
+             !QUOTE_PATTERN.test(lines[i]) && !BULLET_PATTERN.test(lines[i]) && !ORDERED_PATTERN.test(lines[i])) {
+        if (paragraph.length > 0) {
+          paragraph.push({ type: 'br' });
+        }
+        paragraph.push(...this.parseInline(lines[i]));
+        i++;
+      }
+      blocks.push({ type: 'paragraph', children: paragraph });
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Parse a single line of mrkdwn into inline nodes
+   * @param {string} text - Line of Slack text
+   * @returns {Array} Inline nodes
+   */
+  parseInline(text) {
+    const nodes = [];
+    const pattern = new RegExp(INLINE_PATTERN.source, 'g');
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      if (match.index > lastIndex) {
+        nodes.push({ type: 'text', value: this.decodeEntities(text.slice(lastIndex, match.index)) });
+      }
+
+      const [, angle, code, bold, italic, strike, emoji, skinTone] = match;
+      if (angle !== undefined) {
+        nodes.push(this.parseAngleToken(angle));
+      } else if (code !== undefined) {
+        nodes.push({ type: 'code', value: this.decodeEntities(code) });
+      } else if (bold !== undefined) {
+        nodes.push({ type: 'bold', children: this.parseInline(bold) });
+      } else if (italic !== undefined) {
+        nodes.push({ type: 'italic', children: this.parseInline(italic) });
+      } else if (emoji !== undefined) {
+        nodes.push({ type: 'emoji', name: emoji, unicode: null, skinTone: skinTone ? Number(skinTone) : null });
+      } else {
+        nodes.push({ type: 'strike', children: this.parseInline(strike) });
+      }
+      lastIndex = pattern.lastIndex;
+    }
+
+    if (lastIndex < text.length) {
+      nodes.push({ type: 'text', value: this.decodeEntities(text.slice(lastIndex)) });
+    }
+    return nodes;
+  }
+
+  /**
+   * Parse the inside of a <...> token (mention, channel, usergroup, special or link)
+   * @param {string} token - Token content without the angle brackets
+   * @returns {Object} Inline node
+   */
+  parseAngleToken(token) {
+    const [target, ...labelParts] = token.split('|');
+    const label = labelParts.length > 0 ? this.decodeEntities(labelParts.join('|')) : null;
+
+    if (target.startsWith('@')) {
+      return { type: 'user', id: target.slice(1), label };
+    }
+    if (target.startsWith('#')) {
+      return { type: 'channel', id: target.slice(1), label };
+    }
+    if (target.startsWith('!subteam^')) {
+      return { type: 'usergroup', id: target.slice('!subteam^'.length), label: label && label.replace(/^@/, '') };
+    }
+    if (target.startsWith('!date^')) {
+      // <!date^timestamp^format|fallback> - only the fallback text is portable
+      return { type: 'text', value: label || '' };
+    }
+    if (target.startsWith('!')) {
+      return { type: 'special', name: target.slice(1) };
+    }
+    return { type: 'link', url: this.decodeEntities(target), label };
+  }
+
+  /**
+   * Collect the IDs of all users, channels and usergroups mentioned in block nodes
+   * @param {Array} blocks - Block or inline nodes
+   * @param {Object} mentions - Sets to add to (created if omitted)
+   * @returns {Object} { users: Set, channels: Set, usergroups: Set }
+   */
+  collectMentions(blocks, mentions = { users: new Set(), channels: new Set(), usergroups: new Set() }) {
+    blocks.forEach(node => {
+      if (node.type === 'user') {
+        mentions.users.add(node.id);
+      } else if (node.type === 'channel') {
+        mentions.channels.add(node.id);
+      } else if (node.type === 'usergroup') {
+        mentions.usergroups.add(node.id);
+      }
+      if (node.children) {
+        this.collectMentions(node.children, mentions);
+      }
+      if (node.items) {
+        node.items.forEach(item => this.collectMentions(item, mentions));
+      }
+    });
+    return mentions;
+  }
+
+  /**
+   * Get the display text of a mention node
+   * Resolved names from the context win over labels embedded in the Slack text.
+   * @param {Object} node - user, channel, usergroup or special node
+   * @param {Object} context - Mention context (optional)
+   * @returns {string} Mention text including its prefix
+   */
+  getMentionText(node, context = {}) {
+    switch (node.type) {
+      case 'user': {
+        if (context.anonymize) {
+          const names = context.anonymousNames || (context.anonymousNames = new Map());
+          if (!names.has(node.id)) {
+            names.set(node.id, `Participant ${names.size + 1}`);
+          }
+          return `@${names.get(node.id)}`;
+        }
+        return `@${context.users?.get(node.id) || node.label || 'user'}`;
+      }
+      case 'channel':
+        return `#${context.channels?.get(node.id) || node.label || 'channel'}`;
+      case 'usergroup':
+        return `@${context.usergroups?.get(node.id) || node.label || 'group'}`;
+      default:
+        return `@${node.name}`;
+    }
+  }
+
+  /**
+   * Convert a dash-separated list of hex code points to a string
+   * @param {string} unified - e.g. "1F44D-1F3FB"
+   * @returns {string} Unicode string
+   */
+  fromCodePoints(unified) {
+    return String.fromCodePoint(...unified.split('-').map(hex => parseInt(hex, 16)));
+  }
+
+  /**
+   * Look up the Unicode character for a standard Slack emoji shortcode
+   * @param {string} name - Shortcode without colons
+   * @param {number} skinTone - Slack skin tone 2-6 (optional)
+   * @returns {string|null} Unicode character(s) or null if not a standard emoji
+   */
+  lookupEmoji(name, skinTone = null) {
+    if (!emojiIndex) {
+      emojiIndex = new Map();
+      emojiData.forEach(entry => {
+        entry.short_names.forEach(shortName => emojiIndex.set(shortName, entry));
+      });
+    }
+
+    const entry = emojiIndex.get(name);
+    if (!entry) {
+      return null;
+    }
+    const variation = skinTone && entry.skin_variations?.[SKIN_TONES[skinTone]];
+    return this.fromCodePoints(variation ? variation.unified : entry.unified);
+  }
+
+  /**
+   * Collect the shortcodes of all emoji without a Unicode value in block nodes
+   * @param {Array} blocks - Block or inline nodes
+   * @param {Set} names - Set to add to (created if omitted)
+   * @returns {Set<string>} Emoji shortcodes
+   */
+  collectEmoji(blocks, names = new Set()) {
+    blocks.forEach(node => {
+      if (node.type === 'emoji' && !node.unicode) {
+        names.add(node.name);
+      }
+      if (node.children) {
+        this.collectEmoji(node.children, names);
+      }
+      if (node.items) {
+        node.items.forEach(item => this.collectEmoji(item, names));
+      }
+    });
+    return names;
+  }
+
+  /**
+   * Collect #hashtags from the text of block nodes (code is skipped)
+   * @param {Array} blocks - Block or inline nodes
+   * @param {Set} tags - Set to add to (created if omitted)
+   * @returns {Set<string>} Hashtags without the leading #
+   */
+  collectHashtags(blocks, tags = new Set()) {
+    blocks.forEach(node => {
+      if (node.type === 'text') {
+        for (const match of node.value.matchAll(HASHTAG_PATTERN)) {
+          tags.add(match[2].replace(/[-_]+$/, ''));
+        }
+      }
+      if (node.children) {
+        this.collectHashtags(node.children, tags);
+      }
+      if (node.items) {
+        node.items.forEach(item => this.collectHashtags(item, tags));
+      }
+    });
+    return tags;
+  }
+
+  /**
+   * Get the display text of an emoji node
+   * @param {Object} node - emoji node
+   * @param {Object} context - Render context (optional, resolves custom aliases of standard emoji)
+   * @returns {string} Unicode character(s) or the :shortcode: if unknown
+   */
+  getEmojiText(node, context = {}) {
+    if (node.unicode) {
+      return this.fromCodePoints(node.unicode);
+    }
+    const aliasOf = context.customEmoji?.get(node.name)?.aliasOf;
+    const unicode = this.lookupEmoji(aliasOf || node.name, node.skinTone);
+    if (unicode) {
+      return unicode;
+    }
+    return `:${node.name}:` + (node.skinTone ? `:skin-tone-${node.skinTone}:` : '');
+  }
+
+  /**
+   * Render an emoji node as HTML (custom workspace emoji become small inline images)
+   * @param {Object} node - emoji node
+   * @param {Object} context - Render context (optional)
+   * @returns {string} HTML
+   */
+  renderEmojiHtml(node, context = {}) {
+    const custom = !node.unicode && context.customEmoji?.get(node.name);
+    if (custom?.dataUri) {
+      const alt = this.escapeHtml(`:${node.name}:`);
+      return `<img class="slack-emoji" src="${custom.dataUri}" alt="${alt}" title="${alt}" width="20" height="20" style="display:inline;vertical-align:middle;">`;
+    }
+    return this.escapeHtml(this.getEmojiText(node, context));
+  }
+
+  /**
+   * Render an emoji node as Markdown (custom workspace emoji become image references)
+   * @param {Object} node - emoji node
+   * @param {Object} context - Render context (optional)
+   * @returns {string} Markdown
+   */
+  renderEmojiMarkdown(node, context = {}) {
+    const custom = !node.unicode && context.customEmoji?.get(node.name);
+    if (custom?.path) {
+      const imagePath = context.resolveImagePath ? context.resolveImagePath(custom.path) : custom.path;
+      return `![:${node.name}:](${imagePath})`;
+    }
+    return this.getEmojiText(node, context);
+  }
+
+  /**
+   * Convert message reactions into emoji nodes with counts
+   * @param {Array} reactions - Slack reactions ({ name, count })
+   * @returns {Array} [{ node, count }]
+   */
+  parseReactions(reactions = []) {
+    return reactions.map(reaction => {
+      const [name, tone] = reaction.name.split('::skin-tone-');
+      return {
+        node: { type: 'emoji', name, unicode: null, skinTone: tone ? Number(tone) : null },
+        count: reaction.count || 0
+      };
+    });
+  }
+
+  /**
+   * Render message reactions as an HTML paragraph
+   * @param {Array} reactions - Slack reactions
+   * @param {Object} context - Render context (optional)
+   * @returns {string} HTML, or an empty string without reactions
+   */
+  renderReactionsHtml(reactions, context = {}) {
+    if (!reactions || reactions.length === 0) {
+      return '';
+    }
+    const items = this.parseReactions(reactions)
+      .map(({ node, count }) => `<span class="slack-reaction">${this.renderEmojiHtml(node, context)} ${count}</span>`)
+      .join(' ');
+    return `<p class="slack-reactions">${items}</p>`;
+  }
+
+  /**
+   * Render message reactions as a Markdown line
+   * @param {Array} reactions - Slack reactions
+   * @param {Object} context - Render context (optional)
+   * @returns {string} Markdown, or an empty string without reactions
+   */
+  renderReactionsMarkdown(reactions, context = {}) {
+    if (!reactions || reactions.length === 0) {
+      return '';
+    }
+    return this.parseReactions(reactions)
+      .map(({ node, count }) => `${this.renderEmojiMarkdown(node, context)} ${count}`)
+      .join('  ');
+  }
+
+  /**
+   * Render block nodes as HTML
+   * @param {Array} blocks - Block nodes
+   * @param {Object} context - Mention context (optional)
+   * @returns {string} HTML
+   */
+  renderHtml(blocks, context = {}) {
+    return blocks.map(block => {
+      switch (block.type) {
+        case 'code_block':
+          return `<pre><code>${this.escapeHtml(block.value)}</code></pre>`;
+        case 'quote':
+          return `<blockquote>${this.renderHtml(block.children, context)}</blockquote>`;
+        case 'list': {
+          const tag = block.ordered ? 'ol' : 'ul';
+          const items = block.items.map(item => `<li>${this.renderInlineHtml(item, context)}</li>`).join('');
+          return `<${tag}>${items}</${tag}>`;
+        }
+        default:
+          return `<p>${this.renderInlineHtml(block.children, context)}</p>`;
+      }
+    }).join('\n');
+  }
+
+  /**
+   * Render block nodes as serialized Gutenberg blocks
+   * Lines that are entirely bold (Slack's usual stand-in for a heading) become heading
+   * blocks. Nested rich_text lists become nested list blocks.
+   * @param {Array} blocks - Block nodes
+   * @param {Object} context - Mention context (optional)
+   * @returns {string} Block markup
+   */
+  renderBlocks(blocks, context = {}) {
+    const output = [];
+    let i = 0;
+
+    while (i < blocks.length) {
+      const block = blocks[i];
+
+      if (block.type === 'list') {
+        const lists = [];
+        while (i < blocks.length && blocks[i].type === 'list') {
+          lists.push(blocks[i]);
+          i++;
+        }
+        this.nestLists(lists).forEach(list => output.push(this.renderListBlock(list, context)));
+        continue;
+      }
+
+      switch (block.type) {
+        case 'code_block':
+          output.push(this.serializeBlock('code', null, `<pre class="wp-block-code"><code>${this.escapeHtml(block.value)}</code></pre>`));
+          break;
+        case 'quote':
+          output.push(this.serializeBlock('quote', null, `<blockquote class="wp-block-quote">${this.renderBlocks(block.children, context)}</blockquote>`));
+          break;
+        default:
+          output.push(...this.renderParagraphBlocks(block.children, context));
+      }
+      i++;
+    }
+
+    return output.join('\n\n');
+  }
+
+  /**
+   * Render a paragraph as paragraph blocks, turning lines that are entirely bold into headings
+   * @param {Array} nodes - Inline nodes of the paragraph
+   * @param {Object} context - Mention context (optional)
+   * @returns {Array<string>} Block markup
+   */
+  renderParagraphBlocks(nodes, context = {}) {
+    const lines = [[]];
+    nodes.forEach(node => {
+      if (node.type === 'br') {
+        lines.push([]);
+      } else {
+        lines[lines.length - 1].push(node);
+      }
+    });
+
+    const output = [];
+    let paragraph = [];
+    const flush = () => {
+      if (paragraph.length > 0) {
+        const html = paragraph.map(line => this.renderInlineHtml(line, context)).join('<br>');
+        output.push(this.serializeBlock('paragraph', null, `<p>${html}</p>`));
+        paragraph = [];
+      }
+    };
+    lines.forEach(line => {
+      const visible = line.filter(node => node.type !== 'text' || node.value.trim() !== '');
+      if (visible.length === 1 && visible[0].type === 'bold') {
+        flush();
+        const heading = this.renderInlineHtml(visible[0].children, context);
+        output.push(this.serializeBlock('heading', { level: 3 }, `<h3 class="wp-block-heading">${heading}</h3>`));
+      } else {
+        paragraph.push(line);
+      }
+    });
+    flush();
+    return output;
+  }
+
+  /**
+   * Nest consecutive list nodes by their indent (rich_text sends every indent level as its own list)
+   * @param {Array} lists - Consecutive list nodes
+   * @returns {Array} Top-level lists: { ordered, indent, items: [{ children, lists }] }
+   */
+  nestLists(lists) {
+    const roots = [];
+    const open = []; // Lists that can still receive items, innermost last
+    lists.forEach(list => {
+      const indent = list.indent || 0;
+      while (open.length > 0 && open[open.length - 1].indent > indent) {
+        open.pop();
+      }
+
+      let target = open[open.length - 1];
+      if (!target || target.indent !== indent || target.ordered !== list.ordered) {
+        if (target && target.indent === indent) {
+          open.pop(); // A list of the other kind at the same level starts a new list
+        }
+        const parent = open[open.length - 1];
+        target = { ordered: list.ordered, indent, items: [] };
+        if (parent && parent.items.length > 0) {
+          parent.items[parent.items.length - 1].lists.push(target);
+        } else {
+          roots.push(target);
+        }
+        open.push(target);
+      }
+      target.items.push(...list.items.map(children => ({ children, lists: [] })));
+    });
+    return roots;
+  }
+
+  /**
+   * Render a nested list (from nestLists) as a list block with list-item blocks
+   * @param {Object} list - { ordered, items: [{ children, lists }] }
+   * @param {Object} context - Mention context (optional)
+   * @returns {string} Block markup
+   */
+  renderListBlock(list, context = {}) {
+    const tag = list.ordered ? 'ol' : 'ul';
+    const items = list.items.map(item => {
+      const nested = item.lists.map(child => this.renderListBlock(child, context)).join('');
+      return this.serializeBlock('list-item', null, `<li>${this.renderInlineHtml(item.children, context)}${nested}</li>`);
+    }).join('\n\n');
+    return this.serializeBlock('list', list.ordered ? { ordered: true } : null, `<${tag} class="wp-block-list">${items}</${tag}>`);
+  }
+
+  /**
+   * Serialize a core Gutenberg block
+   * Attributes are encoded the way the block editor does, so the comment delimiters
+   * can't be broken by their values.
+   * @param {string} name - Block name without the core/ namespace (e.g. 'paragraph')
+   * @param {Object|null} attributes - Block attributes (optional)
+   * @param {string} html - Saved block HTML, inner blocks included
+   * @returns {string} Block markup
+   */
+  serializeBlock(name, attributes, html) {
+    const attrs = attributes && Object.keys(attributes).length > 0
+      ? ' ' + JSON.stringify(attributes)
+        .replace(/--/g, '\\u002d\\u002d')
+        .replace(/</g, '\\u003c')
+        .replace(/>/g, '\\u003e')
+        .replace(/&/g, '\\u0026')
+        .replace(/\\"/g, '\\u0022')
+      : '';
+    return `<!-- wp:${name}${attrs} -->\n${html}\n<!-- /wp:${name} -->`;
+  }
+
+  /**
+   * Render inline nodes as HTML
+   * @param {Array} nodes - Inline nodes
+   * @param {Object} context - Mention context (optional)
+   * @returns {string} HTML
+   */
+  renderInlineHtml(nodes, context = {}) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+          return this.escapeHtml(node.value);
+        case 'br':
+          return '<br>';
+        case 'bold':
+          return `<strong>${this.renderInlineHtml(node.children, context)}</strong>`;
+        case 'italic':
+          return `<em>${this.renderInlineHtml(node.children, context)}</em>`;
+        case 'strike':
+          return `<del>${this.renderInlineHtml(node.children, context)}</del>`;
+        case 'code':
+          return `<code>${this.escapeHtml(node.value)}</code>`;
+        case 'link': {
+          const label = this.escapeHtml(node.label || node.url);
+          if (!SAFE_URL_PATTERN.test(node.url)) {
+            return label;
+          }
+          return `<a href="${this.escapeHtml(node.url)}">${label}</a>`;
+        }
+        case 'emoji':
+          return this.renderEmojiHtml(node, context);
+        default:
+          return this.escapeHtml(this.getMentionText(node, context));
+      }
+    }).join('');
+  }
+
+  /**
+   * Render block nodes as Markdown
+   * @param {Array} blocks - Block nodes
+   * @param {Object} context - Mention context (optional)
+   * @returns {string} Markdown
+   */
+  renderMarkdown(blocks, context = {}) {
+    return blocks.map(block => {
+      switch (block.type) {
+        case 'code_block':
+          return '```\n' + block.value + '\n```';
+        case 'quote':
+          return this.renderMarkdown(block.children, context)
+            .split('\n')
+            .map(line => (line ? `> ${line}` : '>'))
+            .join('\n');
+        case 'list': {
+          const indent = '  '.repeat(block.indent || 0);
+          return block.items
+            .map((item, index) => `${indent}${block.ordered ? `${index + 1}.` : '-'} ${this.renderInlineMarkdown(item, context)}`)
+            .join('\n');
+        }
+        default:
+          return this.renderInlineMarkdown(block.children, context);
+      }
+    }).join('\n\n');
+  }
+
+  /**
+   * Render inline nodes as Markdown
+   * @param {Array} nodes - Inline nodes
+   * @param {Object} context - Mention context (optional)
+   * @returns {string} Markdown
+   */
+  renderInlineMarkdown(nodes, context = {}) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+          return node.value;
+        case 'br':
+          return '\n';
+        case 'bold':
+          return `**${this.renderInlineMarkdown(node.children, context)}**`;
+        case 'italic':
+          return `_${this.renderInlineMarkdown(node.children, context)}_`;
+        case 'strike':
+          return `~~${this.renderInlineMarkdown(node.children, context)}~~`;
+        case 'code':
+          return `\`${node.value}\``;
+        case 'link':
+          if (!SAFE_URL_PATTERN.test(node.url)) {
+            return node.label || node.url;
+          }
+          return node.label ? `[${node.label}](${node.url})` : node.url;
+        case 'emoji':
+          return this.renderEmojiMarkdown(node, context);
+        default:
+          return this.getMentionText(node, context);
+      }
+    }).join('');
+  }
+
+  /**
+   * Render inline nodes as plain text (used for titles)
+   * @param {Array} nodes - Inline nodes
+   * @param {Object} context - Mention context (optional)
+   * @returns {string} Plain text
+   */
+  renderInlineText(nodes, context = {}) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+        case 'code':
+          return node.value;
+        case 'br':
+          return '\n';
+        case 'bold':
+        case 'italic':
+        case 'strike':
+          return this.renderInlineText(node.children, context);
+        case 'link':
+          return node.label || node.url;
+        case 'emoji':
+          return this.getEmojiText(node, context);
+        default:
+          return this.getMentionText(node, context);
+      }
+    }).join('');
+  }
+
+  /**
+   * Convert Slack mrkdwn text to HTML
+   * @param {string} text - Slack message text
+   * @param {Object} context - Mention context (optional)
+   * @returns {string} HTML
+   */
+  toHtml(text, context = {}) {
+    return this.renderHtml(this.parse(text), context);
+  }
+
+  /**
+   * Convert a Slack message (rich_text blocks or mrkdwn text) to HTML
+   * @param {Object} message - Slack message object
+   * @param {Object} context - Mention context (optional)
+   * @returns {string} HTML
+   */
+  messageToHtml(message, context = {}) {
+    return this.renderHtml(this.parseMessage(message), context);
+  }
+
+  /**
+   * Convert a Slack message (rich_text blocks or mrkdwn text) to Gutenberg block markup
+   * @param {Object} message - Slack message object
+   * @param {Object} context - Mention context (optional)
+   * @returns {string} Block markup
+   */
+  messageToBlocks(message, context = {}) {
+    return this.renderBlocks(this.parseMessage(message), context);
+  }
+
+  /**
+   * Convert a Slack message (rich_text blocks or mrkdwn text) to Markdown
+   * @param {Object} message - Slack message object
+   * @param {Object} context - Mention context (optional)
+   * @returns {string} Markdown
+   */
+  messageToMarkdown(message, context = {}) {
+    return this.renderMarkdown(this.parseMessage(message), context);
+  }
+
+  /**
+   * Convert Slack mrkdwn text to Markdown
+   * @param {string} text - Slack message text
+   * @param {Object} context - Mention context (optional)
+   * @returns {string} Markdown
+   */
+  toMarkdown(text, context = {}) {
+    return this.renderMarkdown(this.parse(text), context);
+  }
+
+  /**
+   * Convert a single line of Slack mrkdwn to plain text
+   * @param {string} text - Slack text
+   * @param {Object} context - Mention context (optional)
+   * @returns {string} Plain text without formatting markers
+   */
+  toPlainText(text, context = {}) {
+    return this.renderInlineText(this.parseInline(text || ''), context);
+  }
+}
+
+module.exports = MrkdwnFormatter;
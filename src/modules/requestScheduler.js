@@ -0,0 +1,187 @@
+/**
+ * Request scheduler shared by all Slack API calls and file downloads
+ *
+ * Limits how many requests run at once, pauses the whole queue when Slack answers
+ * with a rate limit (honouring Retry-After) and retries transient failures with
+ * exponential backoff. Only schedule leaf requests (one API call or download) -
+ * a scheduled task that waits for another scheduled task can deadlock the queue.
+ */
+
+const { finished } = require('stream');
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+
+class RequestScheduler {
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || 4);
+    this.maxRetries = options.maxRetries ?? 5;
+    this.baseDelayMs = options.baseDelayMs ?? 1000;
+    this.maxDelayMs = options.maxDelayMs ?? 60000;
+    this.onRetry = options.onRetry || null;
+
+    this.active = 0;
+    this.queue = [];
+    this.pausedUntil = 0;
+    this.resetStats();
+  }
+
+  /**
+   * Reset retry statistics (called at the start of each sync run)
+   */
+  resetStats() {
+    this.stats = {
+      retries: 0,
+      rateLimited: 0,
+      failed: 0
+    };
+  }
+
+  /**
+   * Get a copy of the retry statistics
+   * @returns {Object} { retries, rateLimited, failed }
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * Run a request through the queue, retrying retryable failures
+   * @param {Function} fn - Function returning a promise for one request
+   * @param {string} label - Description used in logs (e.g. "conversations.history")
+   * @param {Object} options - Optional settings
+   * @param {Function} options.holdUntilEnd - Gets fn's result and returns a stream (e.g. a streamed
+   *   download's body); the request keeps its slot until the stream has ended, failed or been destroyed
+   * @returns {Promise<*>} Result of fn
+   */
+  async schedule(fn, label = 'request', options = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.runWhenFree(fn, options);
+      } catch (error) {
+        const retry = this.getRetryInfo(error);
+        if (!retry || attempt >= this.maxRetries) {
+          if (retry) {
+            this.stats.failed++;
+            console.error(`${label} failed after ${attempt} retries:`, error.message);
+          }
+          throw error;
+        }
+
+        const delayMs = retry.retryAfterMs ?? this.getBackoffDelay(attempt);
+        this.stats.retries++;
+        if (retry.rateLimited) {
+          this.stats.rateLimited++;
+          // A rate limit applies to every request to that API, so hold the whole queue
+          this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delayMs);
+        }
+
+        console.warn(`${label} ${retry.rateLimited ? 'rate limited' : 'failed'} (${retry.reason}), retry ${attempt + 1}/${this.maxRetries} in ${Math.round(delayMs / 1000)}s`);
+        if (this.onRetry) {
+          this.onRetry({ label, attempt: attempt + 1, delayMs, rateLimited: retry.rateLimited, reason: retry.reason, stats: this.getStats() });
+        }
+        await this.sleep(delayMs);
+      }
+    }
+  }
+
+  /**
+   * Wait for a free slot (and the end of any rate-limit pause), then run fn
+   * @param {Function} fn - Function returning a promise
+   * @param {Object} options - { holdUntilEnd }, see schedule
+   * @returns {Promise<*>} Result of fn
+   */
+  async runWhenFree(fn, options = {}) {
+    if (this.active >= this.concurrency) {
+      // The request finishing before us hands its slot over, so active stays counted
+      await new Promise(resolve => this.queue.push(resolve));
+    } else {
+      this.active++;
+    }
+
+    let stream = null;
+    try {
+      const waitMs = this.pausedUntil - Date.now();
+      if (waitMs > 0) {
+        await this.sleep(waitMs);
+      }
+      const result = await fn();
+      stream = options.holdUntilEnd ? options.holdUntilEnd(result) : null;
+      return result;
+    } finally {
+      if (stream) {
+        const cleanup = finished(stream, () => {
+          cleanup();
+          this.releaseSlot();
+        });
+      } else {
+        this.releaseSlot();
+      }
+    }
+  }
+
+  /**
+   * Give a finished request's slot to the next waiting request, or free it
+   * Handing the slot over directly means a new caller can't take it in between.
+   */
+  releaseSlot() {
+    const next = this.queue.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Decide whether an error from the Slack WebClient or axios is worth retrying
+   * @param {Error} error - Error thrown by the request
+   * @returns {Object|null} { rateLimited, retryAfterMs, reason } or null if not retryable
+   */
+  getRetryInfo(error) {
+    // Slack WebClient (rejectRateLimitedCalls) rate limit
+    if (error.code === 'slack_webapi_rate_limited_error') {
+      return { rateLimited: true, retryAfterMs: (error.retryAfter || 1) * 1000, reason: 'ratelimited' };
+    }
+    if (error.data?.error === 'ratelimited') {
+      return { rateLimited: true, retryAfterMs: null, reason: 'ratelimited' };
+    }
+
+    const status = error.response?.status || error.statusCode;
+    if (status === 429) {
+      const retryAfter = parseInt(error.response?.headers?.['retry-after'] || error.headers?.['retry-after'], 10);
+      return { rateLimited: true, retryAfterMs: retryAfter ? retryAfter * 1000 : null, reason: 'HTTP 429' };
+    }
+    if (status >= 500) {
+      return { rateLimited: false, retryAfterMs: null, reason: `HTTP ${status}` };
+    }
+
+    // Network-level failures (Slack WebClient wraps them in slack_webapi_request_error)
+    const networkCode = error.original?.code || error.code;
+    if (error.code === 'slack_webapi_request_error' || RETRYABLE_NETWORK_CODES.includes(networkCode)) {
+      return { rateLimited: false, retryAfterMs: null, reason: networkCode || 'network error' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Exponential backoff with jitter
+   * @param {number} attempt - Zero-based retry attempt
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(attempt) {
+    const delay = this.baseDelayMs * Math.pow(2, attempt);
+    return Math.min(this.maxDelayMs, delay + Math.random() * this.baseDelayMs);
+  }
+
+  /**
+   * Sleep helper
+   * @param {number} ms - Milliseconds
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = RequestScheduler;
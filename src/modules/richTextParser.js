@@ -0,0 +1,199 @@
+/**
+ * Block Kit rich_text parser
+ *
+ * Converts the `rich_text` blocks Slack attaches to messages into the same node tree
+ * MrkdwnFormatter produces from mrkdwn text, so both sources share the HTML and
+ * Markdown renderers.
+ */
+
+const BROADCAST_NAMES = ['here', 'channel', 'everyone'];
+
+class RichTextParser {
+  /**
+   * Check whether a message carries rich_text blocks
+   * @param {Object} message - Slack message object
+   * @returns {boolean} True if the message has at least one rich_text block
+   */
+  hasRichText(message) {
+    return Array.isArray(message?.blocks) && message.blocks.some(block => block.type === 'rich_text');
+  }
+
+  /**
+   * Parse all rich_text blocks of a message into block nodes
+   * @param {Array} blocks - Slack Block Kit blocks
+   * @returns {Array} Block nodes
+   */
+  parseBlocks(blocks) {
+    const nodes = [];
+    blocks
+      .filter(block => block.type === 'rich_text')
+      .forEach(block => {
+        (block.elements || []).forEach(element => {
+          nodes.push(...this.parseElement(element));
+        });
+      });
+    return nodes;
+  }
+
+  /**
+   * Parse one top-level rich_text element
+   * @param {Object} element - rich_text_section, rich_text_list, rich_text_preformatted or rich_text_quote
+   * @returns {Array} Block nodes
+   */
+  parseElement(element) {
+    switch (element.type) {
+      case 'rich_text_preformatted':
+        return [{
+          type: 'code_block',
+          value: (element.elements || []).map(el => el.text || el.url || '').join('').replace(/\n$/, '')
+        }];
+      case 'rich_text_quote':
+        return [{ type: 'quote', children: this.toParagraphs(this.parseInlineElements(element.elements)) }];
+      case 'rich_text_list':
+        return [{
+          type: 'list',
+          ordered: element.style === 'ordered',
+          indent: element.indent || 0,
+          items: (element.elements || []).map(item => this.trimBreaks(this.parseInlineElements(item.elements)))
+        }];
+      case 'rich_text_section':
+      default:
+        return this.toParagraphs(this.parseInlineElements(element.elements));
+    }
+  }
+
+  /**
+   * Parse inline rich_text elements (text, link, user, channel, emoji, ...)
+   * @param {Array} elements - Inline elements
+   * @returns {Array} Inline nodes
+   */
+  parseInlineElements(elements = []) {
+    const nodes = [];
+    elements.forEach(element => {
+      switch (element.type) {
+        case 'text':
+          nodes.push(...this.applyStyle(this.splitLines(element.text || ''), element.style));
+          break;
+        case 'link':
+          nodes.push(...this.applyStyle([{ type: 'link', url: element.url, label: element.text || null }], element.style));
+          break;
+        case 'user':
+          nodes.push({ type: 'user', id: element.user_id, label: null });
+          break;
+        case 'usergroup':
+          nodes.push({ type: 'usergroup', id: element.usergroup_id, label: null });
+          break;
+        case 'channel':
+          nodes.push({ type: 'channel', id: element.channel_id, label: null });
+          break;
+        case 'broadcast':
+          nodes.push({ type: 'special', name: BROADCAST_NAMES.includes(element.range) ? element.range : 'here' });
+          break;
+        case 'emoji':
+          nodes.push({ type: 'emoji', name: element.name, unicode: element.unicode || null, skinTone: element.skin_tone || null });
+          break;
+        case 'date':
+          nodes.push({ type: 'text', value: element.fallback || '' });
+          break;
+        case 'color':
+          nodes.push({ type: 'text', value: element.value || '' });
+          break;
+        default:
+          if (element.text) {
+            nodes.push({ type: 'text', value: element.text });
+          }
+      }
+    });
+    return nodes;
+  }
+
+  /**
+   * Split text on newlines into text and br nodes
+   * @param {string} text - Raw text (rich_text is not entity-encoded)
+   * @returns {Array} Inline nodes
+   */
+  splitLines(text) {
+    const nodes = [];
+    text.split('\n').forEach((line, index) => {
+      if (index > 0) {
+        nodes.push({ type: 'br' });
+      }
+      if (line) {
+        nodes.push({ type: 'text', value: line });
+      }
+    });
+    return nodes;
+  }
+
+  /**
+   * Wrap inline nodes in the styles of a rich_text element
+   * @param {Array} nodes - Inline nodes
+   * @param {Object} style - { bold, italic, strike, code }
+   * @returns {Array} Styled inline nodes
+   */
+  applyStyle(nodes, style) {
+    if (!style) {
+      return nodes;
+    }
+
+    return nodes.map(node => {
+      if (node.type === 'br') {
+        return node;
+      }
+      let styled = node;
+      if (style.code && node.type === 'text') {
+        styled = { type: 'code', value: node.value };
+      }
+      if (style.strike) {
+        styled = { type: 'strike', children: [styled] };
+      }
+      if (style.italic) {
+        styled = { type: 'italic', children: [styled] };
+      }
+      if (style.bold) {
+        styled = { type: 'bold', children: [styled] };
+      }
+      return styled;
+    });
+  }
+
+  /**
+   * Split inline nodes into paragraphs at blank lines (two consecutive line breaks)
+   * @param {Array} nodes - Inline nodes
+   * @returns {Array} Paragraph block nodes
+   */
+  toParagraphs(nodes) {
+    const paragraphs = [];
+    let current = [];
+
+    nodes.forEach((node, index) => {
+      if (node.type === 'br' && nodes[index + 1]?.type === 'br') {
+        paragraphs.push(current);
+        current = [];
+      } else if (!(node.type === 'br' && nodes[index - 1]?.type === 'br')) {
+        current.push(node);
+      }
+    });
+    paragraphs.push(current);
+
+    return paragraphs
+      .map(children => this.trimBreaks(children))
+      .filter(children => children.length > 0)
+      .map(children => ({ type: 'paragraph', children }));
+  }
+
+  /**
+   * Remove leading and trailing line breaks
+   * @param {Array} nodes - Inline nodes
+   * @returns {Array} Trimmed inline nodes
+   */
+  trimBreaks(nodes) {
+    let start = 0;
+    let end = nodes.length;
+    while (start < end && nodes[start].type === 'br') start++;
+    while (end > start && nodes[end - 1].type === 'br') end--;
+    return nodes.slice(start, end);
+  }
+}
+
+module.exports = RichTextParser;
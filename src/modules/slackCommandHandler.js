@@ -0,0 +1,186 @@
+const axios = require('axios');
+
+const PUBLISH_CALLBACK_ID = 'publish_to_wordpress';
+
+/**
+ * Handles the `/blog` slash command and the "Publish to WordPress" message shortcut
+ *
+ * Slack must get an answer within 3 seconds, so requests are acknowledged at once and
+ * the sync result is sent afterwards as an ephemeral message through `response_url`.
+ */
+class SlackCommandHandler {
+  constructor(syncService) {
+    this.syncService = syncService;
+  }
+
+  /**
+   * Handle a slash command or interactivity request
+   * @param {Object} body - Parsed form body (interactivity requests carry a JSON `payload` field)
+   * @returns {Object|null} Immediate response body, or null for an empty acknowledgement
+   */
+  handleRequest(body) {
+    if (body.payload) {
+      return this.handleShortcut(JSON.parse(body.payload));
+    }
+    return this.handleSlashCommand(body);
+  }
+
+  /**
+   * Handle `/blog <thread link or timestamp>`
+   * @param {Object} command - Slash command fields (command, text, channel_id, response_url)
+   * @returns {Object} Ephemeral acknowledgement
+   */
+  handleSlashCommand(command) {
+    const reference = this.parseThreadReference(command.text, command.channel_id);
+    if (!reference) {
+      return this.ephemeral(
+        `Usage: \`${command.command || '/blog'} <thread link or timestamp>\`\n` +
+        'Copy the thread\'s link in Slack ("Copy link" on the first message), or use the ' +
+        '"Publish to WordPress" shortcut from the message menu.'
+      );
+    }
+
+    this.publishThread(reference.channelId, reference.threadTs, command.response_url);
+    return this.ephemeral(`Publishing thread ${reference.threadTs} to WordPress...`);
+  }
+
+  /**
+   * Handle the "Publish to WordPress" message shortcut
+   * @param {Object} payload - Interactivity payload (type message_action)
+   * @returns {null} Empty acknowledgement (the result is sent through response_url)
+   */
+  handleShortcut(payload) {
+    if (payload.type !== 'message_action' || payload.callback_id !== PUBLISH_CALLBACK_ID) {
+      console.warn(`Ignoring unknown Slack interaction: ${payload.type} ${payload.callback_id || ''}`);
+      return null;
+    }
+
+    // A reply publishes the thread it belongs to
+    const threadTs = payload.message?.thread_ts || payload.message?.ts;
+    this.publishThread(payload.channel?.id, threadTs, payload.response_url);
+    return null;
+  }
+
+  /**
+   * Find the channel and thread a slash command refers to
+   * Accepts a message link (https://x.slack.com/archives/C123/p1700000000123456?thread_ts=...)
+   * or a bare thread timestamp in the current channel.
+   * @param {string} text - Slash command text
+   * @param {string} currentChannelId - Channel the command was run in
+   * @returns {Object|null} { channelId, threadTs } or null if the text is not a thread reference
+   */
+  parseThreadReference(text, currentChannelId) {
+    const value = (text || '').trim().replace(/^<|>$/g, '');
+    if (!value) {
+      return null;
+    }
+
+    const link = value.match(/\/archives\/([A-Z0-9]+)\/p(\d{10})(\d{6})/);
+    if (link) {
+      const threadParam = value.match(/[?&]thread_ts=(\d+\.\d+)/);
+      return {
+        channelId: link[1],
+        threadTs: threadParam ? threadParam[1] : `${link[2]}.${link[3]}`
+      };
+    }
+
+    if (/^\d+\.\d+$/.test(value)) {
+      return { channelId: currentChannelId, threadTs: value };
+    }
+
+    return null;
+  }
+
+  /**
+   * Sync a thread and report the result to the user who asked for it
+   * @param {string} channelId - Slack channel ID
+   * @param {string} threadTs - Thread timestamp
+   * @param {string} responseUrl - Slack response_url for the ephemeral reply
+   * @returns {Promise<void>}
+   */
+  async publishThread(channelId, threadTs, responseUrl) {
+    let text;
+    try {
+      const result = await this.syncService.syncThread(threadTs, channelId);
+      text = this.formatResult(result);
+    } catch (error) {
+      text = `:x: Could not publish thread ${threadTs} to WordPress:\n${error.message}`;
+    }
+    await this.respond(responseUrl, text);
+  }
+
+  /**
+   * Format a syncThread result as a Slack message
+   * @param {Object} result - Result from SyncService.syncThread
+   * @returns {string} Slack mrkdwn text
+   */
+  formatResult(result) {
+    const title = this.escapeMrkdwn(result.title || `Thread ${result.threadTs}`);
+    const post = result.link ? `<${result.link}|${title}>` : `*${title}*`;
+    const headlines = {
+      created: `:white_check_mark: Created WordPress post ${post}`,
+      updated: `:arrows_counterclockwise: Updated WordPress post ${post}`,
+      skipped: `:warning: WordPress post ${post} was edited in WordPress since the last sync, so it was not updated`,
+      revision: `:warning: WordPress post ${post} was edited in WordPress since the last sync, so the thread was saved as a revision`
+    };
+    if (result.reason === 'unchanged') {
+      return `:white_check_mark: WordPress post ${post} is already up to date`;
+    }
+    if (result.reason === 'retired') {
+      return `:wastebasket: WordPress post ${post} was removed in WordPress, so this thread is no longer synced`;
+    }
+    let text = headlines[result.action] || headlines.updated;
+    if (result.action === 'updated' && result.conflict) {
+      text += '\n_It had been edited in WordPress; those edits were overwritten._';
+    }
+    if (result.missingPost) {
+      text += result.missingPost.resolution === 'restored'
+        ? `\n_It had been moved to the trash in WordPress and was restored with the status \`${result.status}\`._`
+        : `\n_The previous post had been ${result.missingPost.state} in WordPress, so a new one was created._`;
+    }
+
+    if (result.truncated) {
+      text += `\n_Only ${result.truncated.includedReplies} of ${result.truncated.totalReplies} replies were included._`;
+    }
+    return text;
+  }
+
+  /**
+   * Send an ephemeral message through a response_url
+   * @param {string} responseUrl - Slack response_url
+   * @param {string} text - Message text
+   * @returns {Promise<void>}
+   */
+  async respond(responseUrl, text) {
+    if (!responseUrl) {
+      console.warn('No response_url to report to:', text);
+      return;
+    }
+
+    try {
+      await axios.post(responseUrl, this.ephemeral(text));
+    } catch (error) {
+      console.error('Error sending Slack command response:', error.message);
+    }
+  }
+
+  /**
+   * Build an ephemeral (only visible to the requesting user) message
+   * @param {string} text - Message text
+   * @returns {Object} Slack message payload
+   */
+  ephemeral(text) {
+    return { response_type: 'ephemeral', text };
+  }
+
+  /**
+   * Escape the characters Slack treats as control characters in mrkdwn
+   * @param {string} text - Plain text
+   * @returns {string} Escaped text
+   */
+  escapeMrkdwn(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+}
+
+module.exports = SlackCommandHandler;
@@ -0,0 +1,142 @@
+/**
+ * Handles Slack Events API callbacks
+ *
+ * Message events in watched channels re-sync only the affected thread. Syncs are
+ * debounced per thread, so a burst of replies or edits produces a single WordPress update.
+ * Adding the channel's publish reaction to a synced thread starter re-syncs (and publishes) it.
+ */
+class SlackEventHandler {
+  constructor(syncService, options = {}) {
+    this.syncService = syncService;
+    this.debounceMs = options.debounceMs ?? 10000;
+    this.timers = new Map(); // "channelId:threadTs" -> pending debounce timer
+    this.running = new Set(); // threads currently syncing
+    this.rerun = new Set(); // threads that changed again while syncing
+  }
+
+  /**
+   * Handle an Events API payload
+   * @param {Object} payload - Parsed request body
+   * @returns {Object} Response body for Slack
+   */
+  handlePayload(payload) {
+    if (payload.type === 'url_verification') {
+      return { challenge: payload.challenge };
+    }
+
+    if (payload.type === 'event_callback' && payload.event?.type === 'message') {
+      this.handleMessageEvent(payload.event);
+    }
+
+    if (payload.type === 'event_callback' && payload.event?.type === 'reaction_added') {
+      this.handleReactionEvent(payload.event);
+    }
+
+    return { ok: true };
+  }
+
+  /**
+   * Queue a thread sync for a message event, if it belongs to a watched channel's thread
+   * @param {Object} event - Slack message event
+   */
+  handleMessageEvent(event) {
+    const channelId = event.channel;
+    if (!this.syncService.channels.some(ch => ch.id === channelId)) {
+      return;
+    }
+
+    // Posting or editing our own link reply must not trigger another sync
+    const slackService = this.syncService.slackService;
+    if ([event, event.message, event.previous_message].some(msg => slackService.isOwnMessage(msg))) {
+      return;
+    }
+
+    const threadTs = this.getThreadTs(event);
+    if (!threadTs) {
+      // A top-level message without replies is not a thread (yet)
+      return;
+    }
+
+    this.scheduleThreadSync(channelId, threadTs);
+  }
+
+  /**
+   * Queue a sync when the publish reaction is added to a synced thread starter
+   * Whether the reaction (and the user who added it) publishes the post is decided by the sync.
+   * @param {Object} event - Slack reaction_added event
+   */
+  handleReactionEvent(event) {
+    const channelId = event.item?.channel;
+    const channel = this.syncService.channels.find(ch => ch.id === channelId);
+    if (!channel || !channel.publishReaction || event.item.type !== 'message') {
+      return;
+    }
+    if (event.reaction.split('::')[0] !== channel.publishReaction) {
+      return;
+    }
+
+    // Reactions on replies or unsynced messages don't publish anything
+    if (!this.syncService.stateManager.isMapped(channelId, event.item.ts)) {
+      return;
+    }
+
+    this.scheduleThreadSync(channelId, event.item.ts);
+  }
+
+  /**
+   * Find the thread a message event belongs to
+   * Edits and deletions carry the message in `message` / `previous_message`.
+   * @param {Object} event - Slack message event
+   * @returns {string|null} Thread timestamp or null for non-thread messages
+   */
+  getThreadTs(event) {
+    return event.thread_ts ||
+      event.message?.thread_ts ||
+      event.previous_message?.thread_ts ||
+      null;
+  }
+
+  /**
+   * Sync a thread once no further events arrived for debounceMs
+   * @param {string} channelId - Slack channel ID
+   * @param {string} threadTs - Thread timestamp
+   */
+  scheduleThreadSync(channelId, threadTs) {
+    const key = `${channelId}:${threadTs}`;
+    clearTimeout(this.timers.get(key));
+    this.timers.set(key, setTimeout(() => {
+      this.timers.delete(key);
+      this.runThreadSync(channelId, threadTs);
+    }, this.debounceMs));
+  }
+
+  /**
+   * Run a thread sync, making sure the same thread never syncs twice at once
+   * @param {string} channelId - Slack channel ID
+   * @param {string} threadTs - Thread timestamp
+   * @returns {Promise<void>}
+   */
+  async runThreadSync(channelId, threadTs) {
+    const key = `${channelId}:${threadTs}`;
+    if (this.running.has(key)) {
+      // Sync again after the current run so the latest change is published
+      this.rerun.add(key);
+      return;
+    }
+
+    this.running.add(key);
+    try {
+      const result = await this.syncService.syncThread(threadTs, channelId);
+      console.log(`Event sync: thread ${threadTs} in ${channelId} ${result.action}`);
+    } catch (error) {
+      console.error(`Event sync failed for thread ${threadTs} in ${channelId}:`, error.message);
+    } finally {
+      this.running.delete(key);
+      if (this.rerun.delete(key)) {
+        this.scheduleThreadSync(channelId, threadTs);
+      }
+    }
+  }
+}
+
+module.exports = SlackEventHandler;
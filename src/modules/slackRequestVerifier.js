@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+/**
+ * Verifies that incoming HTTP requests were sent by Slack
+ * See https://api.slack.com/authentication/verifying-requests-from-slack
+ */
+class SlackRequestVerifier {
+  constructor(signingSecret, options = {}) {
+    this.signingSecret = signingSecret;
+    this.maxAgeSeconds = options.maxAgeSeconds || 5 * 60; // Slack recommends rejecting requests older than 5 minutes
+  }
+
+  /**
+   * Check a request's X-Slack-Signature header against its raw body
+   * @param {Object} req - Express request (needs req.rawBody, saved by the body parser)
+   * @returns {Object} { valid: true } or { valid: false, error }
+   */
+  verify(req) {
+    if (!this.signingSecret) {
+      return { valid: false, error: 'SLACK_SIGNING_SECRET is not configured' };
+    }
+
+    const timestamp = req.get('X-Slack-Request-Timestamp');
+    const signature = req.get('X-Slack-Signature');
+    if (!timestamp || !signature || !req.rawBody) {
+      return { valid: false, error: 'Missing Slack signature headers' };
+    }
+
+    // Old timestamps mean a replayed request
+    if (Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp)) > this.maxAgeSeconds) {
+      return { valid: false, error: 'Slack request timestamp is too old' };
+    }
+
+    const expected = 'v0=' + crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(`v0:${timestamp}:${req.rawBody.toString('utf8')}`)
+      .digest('hex');
+
+    const expectedBuffer = Buffer.from(expected, 'utf8');
+    const signatureBuffer = Buffer.from(signature, 'utf8');
+    if (expectedBuffer.length !== signatureBuffer.length || !crypto.timingSafeEqual(expectedBuffer, signatureBuffer)) {
+      return { valid: false, error: 'Invalid Slack signature' };
+    }
+
+    return { valid: true };
+  }
+}
+
+module.exports = SlackRequestVerifier;
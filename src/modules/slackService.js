@@ -1,9 +1,24 @@
 const { WebClient } = require('@slack/web-api');
+const MrkdwnFormatter = require('./mrkdwnFormatter');
+const RequestScheduler = require('./requestScheduler');
 
 class SlackService {
-  constructor(token) {
-    this.client = new WebClient(token);
+  constructor(token, options = {}) {
+    // Rate limits and retries are handled by the shared scheduler, which can count them
+    // and pause every queued request, instead of inside each WebClient call
+    this.client = new WebClient(token, {
+      rejectRateLimitedCalls: true,
+      retryConfig: { retries: 0 }
+    });
+    this.scheduler = options.scheduler || new RequestScheduler();
     this.userCache = new Map(); // Cache for user ID to name mappings
+    this.userEmailCache = new Map(); // user ID -> email (needs users:read.email), filled by getUserName
+    this.channelNameCache = new Map(); // Cache for channel ID to name mappings
+    this.permalinkCache = new Map(); // "channelId:ts" -> message permalink
+    this.usergroupCache = null; // usergroup ID -> handle, loaded once via usergroups.list
+    this.botIdentity = null; // { userId, botId } from auth.test, once it succeeded
+    this.maxThreadReplies = options.maxThreadReplies || 0; // 0 = no cap
+    this.formatter = new MrkdwnFormatter();
   }
 
   /**
@@ -12,10 +27,10 @@ class SlackService {
    */
   async listChannels() {
     try {
-      const result = await this.client.conversations.list({
+      const result = await this.scheduler.schedule(() => this.client.conversations.list({
         types: 'public_channel,private_channel',
         exclude_archived: true
-      });
+      }), 'conversations.list');
       return result.channels.map(ch => ({
         id: ch.id,
         name: ch.name,
@@ -35,9 +50,9 @@ class SlackService {
    */
   async validateChannel(channelId) {
     try {
-      const result = await this.client.conversations.info({
+      const result = await this.scheduler.schedule(() => this.client.conversations.info({
         channel: channelId
-      });
+      }), 'conversations.info');
       return { valid: true, channel: result.channel };
     } catch (error) {
       if (error.data?.error === 'channel_not_found') {
@@ -69,6 +84,12 @@ class SlackService {
    * @returns {Error} Formatted error
    */
   formatSlackError(error) {
+    if (error.code === 'slack_webapi_rate_limited_error' || error.data?.error === 'ratelimited') {
+      return new Error(
+        `Slack rate limit still exceeded after ${this.scheduler.maxRetries} retries. ` +
+        `Lower SLACK_CONCURRENCY or try again in a few minutes.`
+      );
+    }
     if (error.data?.error) {
       const errorCode = error.data.error;
       const errorMessage = error.data.error || 'Unknown error';
@@ -89,7 +110,7 @@ class SlackService {
         case 'missing_scope':
           return new Error(
             `Bot is missing required permissions. ` +
-            `Add scopes: channels:read, channels:history in Slack App settings`
+            `Add scopes: channels:read, channels:history${error.data.needed ? `, ${error.data.needed}` : ''} in Slack App settings`
           );
         default:
           return new Error(`Slack API error: ${errorMessage}`);
@@ -99,20 +120,57 @@ class SlackService {
   }
 
   /**
-   * Fetch all threads from a specific channel
+   * Convert a date-like value into a Slack timestamp string
+   * @param {string|number|Date} value - Slack ts, epoch seconds, ISO date string or Date
+   * @returns {string|undefined} Slack timestamp (seconds with microsecond fraction) or undefined
+   */
+  toSlackTimestamp(value) {
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+
+    // Already a Slack ts or epoch seconds
+    if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value))) {
+      return Number(value).toFixed(6);
+    }
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid date: ${value}`);
+    }
+    return (date.getTime() / 1000).toFixed(6);
+  }
+
+  /**
+   * Fetch all threads from a specific channel, following pagination cursors
    * @param {string} channelId - The Slack channel ID
+   * @param {Object} options - Optional date range
+   * @param {string|number|Date} options.oldest - Only include threads started at or after this time
+   * @param {string|number|Date} options.latest - Only include threads started at or before this time
    * @returns {Promise<Array>} Array of thread messages
    */
-  async getChannelThreads(channelId) {
+  async getChannelThreads(channelId, options = {}) {
     try {
-      const result = await this.client.conversations.history({
-        channel: channelId,
-        limit: 100
-      });
+      const oldest = this.toSlackTimestamp(options.oldest);
+      const latest = this.toSlackTimestamp(options.latest);
+      const threads = [];
+      let cursor;
+
+      do {
+        const result = await this.scheduler.schedule(() => this.client.conversations.history({
+          channel: channelId,
+          limit: 200,
+          cursor,
+          ...(oldest && { oldest }),
+          ...(latest && { latest }),
+          inclusive: true
+        }), 'conversations.history');
+
+        // Filter messages that have replies (threads)
+        threads.push(...result.messages.filter(msg => msg.thread_ts && msg.thread_ts === msg.ts));
+        cursor = result.has_more ? result.response_metadata?.next_cursor : undefined;
+      } while (cursor);
 
-      // Filter messages that have replies (threads)
-      const threads = result.messages.filter(msg => msg.thread_ts && msg.thread_ts === msg.ts);
-      
       return threads;
     } catch (error) {
       console.error('Error fetching channel threads:', error);
@@ -121,42 +179,175 @@ class SlackService {
   }
 
   /**
-   * Fetch all replies in a thread
+   * Fetch all replies in a thread, following pagination cursors
+   * Stops early once the configured maxThreadReplies cap is reached.
    * @param {string} channelId - The Slack channel ID
    * @param {string} threadTs - The thread timestamp
-   * @returns {Promise<Array>} Array of replies
+   * @returns {Promise<Array>} Array of replies (thread starter first, without the bot's own replies)
    */
   async getThreadReplies(channelId, threadTs) {
     try {
-      const result = await this.client.conversations.replies({
-        channel: channelId,
-        ts: threadTs,
-        include_all_metadata: true
-      });
+      // The thread starter is always included on top of the reply cap
+      const maxMessages = this.maxThreadReplies > 0 ? this.maxThreadReplies + 1 : Infinity;
+      const messages = [];
+      let cursor;
+
+      // Our own "published to WordPress" replies are not part of the content
+      await this.getBotIdentity();
+
+      do {
+        const result = await this.scheduler.schedule(() => this.client.conversations.replies({
+          channel: channelId,
+          ts: threadTs,
+          include_all_metadata: true,
+          limit: 200,
+          cursor
+        }), 'conversations.replies');
 
-      return result.messages;
+        messages.push(...result.messages.filter(msg => msg.ts === threadTs || !this.isOwnMessage(msg)));
+        cursor = result.has_more ? result.response_metadata?.next_cursor : undefined;
+      } while (cursor && messages.length < maxMessages);
+
+      return messages.slice(0, maxMessages);
     } catch (error) {
       console.error('Error fetching thread replies:', error);
       throw this.formatSlackError(error);
     }
   }
 
+  /**
+   * Check whether a fetched thread was cut off by the maxThreadReplies cap
+   * @param {Array} messages - Thread messages as returned by getThreadReplies
+   * @returns {Object|null} Truncation info ({ totalReplies, includedReplies }) or null if complete
+   */
+  getTruncationInfo(messages) {
+    if (!this.maxThreadReplies || !messages || messages.length === 0) {
+      return null;
+    }
+
+    const totalReplies = messages[0].reply_count || 0;
+    const includedReplies = messages.length - 1;
+    // reply_count also counts our own replies, which are filtered out, so only a
+    // thread that reached the cap can have been cut off
+    if (includedReplies < this.maxThreadReplies || totalReplies <= includedReplies) {
+      return null;
+    }
+
+    return { totalReplies, includedReplies };
+  }
+
+  /**
+   * Get the bot's own user and bot IDs
+   * Only a successful auth.test is cached, so a failed one is retried on the next call.
+   * @returns {Promise<Object|null>} { userId, botId } or null if auth.test failed
+   */
+  async getBotIdentity() {
+    if (this.botIdentity) {
+      return this.botIdentity;
+    }
+
+    try {
+      const result = await this.scheduler.schedule(() => this.client.auth.test(), 'auth.test');
+      this.botIdentity = { userId: result.user_id, botId: result.bot_id };
+    } catch (error) {
+      console.warn('Could not identify the bot user (its own replies will not be filtered):', error.message);
+    }
+    return this.botIdentity;
+  }
+
+  /**
+   * Check whether a message was posted by this bot
+   * @param {Object} message - Slack message
+   * @returns {boolean} True for the bot's own messages (requires getBotIdentity to have run)
+   */
+  isOwnMessage(message) {
+    const identity = this.botIdentity;
+    if (!identity || !message) {
+      return false;
+    }
+    return Boolean(
+      (identity.botId && message.bot_id === identity.botId) ||
+      (identity.userId && message.user === identity.userId)
+    );
+  }
+
+  /**
+   * Reply in a thread as the bot (requires the chat:write scope)
+   * @param {string} channelId - Slack channel ID
+   * @param {string} threadTs - Thread timestamp
+   * @param {string} text - Message text (mrkdwn)
+   * @returns {Promise<string>} ts of the new reply
+   */
+  async postThreadReply(channelId, threadTs, text) {
+    try {
+      const result = await this.scheduler.schedule(() => this.client.chat.postMessage({
+        channel: channelId,
+        thread_ts: threadTs,
+        text,
+        unfurl_links: false
+      }), 'chat.postMessage');
+      return result.ts;
+    } catch (error) {
+      console.error('Error posting thread reply:', error.message);
+      throw this.formatSlackError(error);
+    }
+  }
+
+  /**
+   * Get the permalink of a message (cached, permalinks never change)
+   * @param {string} channelId - Slack channel ID
+   * @param {string} ts - Message timestamp
+   * @returns {Promise<string>} Permalink URL
+   */
+  async getPermalink(channelId, ts) {
+    const key = `${channelId}:${ts}`;
+    if (!this.permalinkCache.has(key)) {
+      const result = await this.scheduler.schedule(() => this.client.chat.getPermalink({
+        channel: channelId,
+        message_ts: ts
+      }), 'chat.getPermalink');
+      this.permalinkCache.set(key, result.permalink);
+    }
+    return this.permalinkCache.get(key);
+  }
+
+  /**
+   * Edit a message the bot posted earlier
+   * @param {string} channelId - Slack channel ID
+   * @param {string} ts - Message timestamp
+   * @param {string} text - New message text (mrkdwn)
+   * @returns {Promise<string>} ts of the edited message
+   */
+  async updateMessage(channelId, ts, text) {
+    const result = await this.scheduler.schedule(() => this.client.chat.update({
+      channel: channelId,
+      ts,
+      text
+    }), 'chat.update');
+    return result.ts;
+  }
+
   /**
    * Format thread messages into a blog post structure
    * @param {Array} messages - Thread messages
-   * @returns {Object} Formatted post data
+   * @param {Object} context - Mention context from buildMentionContext (optional)
+   * @returns {Object} { title, plainTitle, content, threadTs }; WordPress reads titles as HTML, so title
+   *   is HTML-escaped, while plainTitle is the same text for Slack messages and logs
    */
-  formatThreadAsPost(messages) {
+  formatThreadAsPost(messages, context = {}) {
     if (!messages || messages.length === 0) {
       throw new Error('No messages to format');
     }
 
+    // Pseudonyms must stay stable across the title and every message of the thread
+    const renderContext = { ...context, anonymousNames: new Map() };
     const firstMessage = messages[0];
-    const title = this.extractTitle(firstMessage.text);
-    const content = this.formatContent(messages);
+    const title = this.extractTitle(firstMessage.text, renderContext);
+    const content = this.formatContent(messages, renderContext);
 
     return {
-      title,
+      title: this.formatter.escapeHtml(title),
+      plainTitle: title,
       content,
       threadTs: firstMessage.ts
     };
@@ -165,51 +356,175 @@ class SlackService {
   /**
    * Extract title from first message (first line or first 50 chars)
    * @param {string} text - Message text
-   * @returns {string} Title
+   * @param {Object} context - Mention context (optional)
+   * @returns {string} Title as plain text (escape it before using it as HTML)
    */
-  extractTitle(text) {
-    const firstLine = text.split('\n')[0];
+  extractTitle(text, context = {}) {
+    const firstLine = this.formatter.toPlainText(text.split('\n')[0], context);
     return firstLine.length > 100 ? firstLine.substring(0, 100) + '...' : firstLine;
   }
 
   /**
    * Format thread messages into HTML content
    * @param {Array} messages - Thread messages
+   * @param {Object} context - Mention context (optional); context.postFormat 'blocks' emits Gutenberg blocks
    * @returns {string} HTML content
    */
-  formatContent(messages) {
+  formatContent(messages, context = {}) {
+    if (context.postFormat === 'blocks') {
+      return this.formatBlockContent(messages, context);
+    }
+
     let content = '';
     
     messages.forEach((msg, index) => {
       if (index === 0) {
         // First message is the main content
-        content += `<p>${this.escapeHtml(msg.text)}</p>\n`;
+        content += `${this.formatter.messageToHtml(msg, context)}\n`;
+        content += this.formatImages(msg, context);
+        content += this.formatReactions(msg, context);
       } else {
         // Subsequent messages are comments/additions
         content += `<div class="thread-reply">\n`;
         content += `<p><strong>Reply:</strong></p>\n`;
-        content += `<p>${this.escapeHtml(msg.text)}</p>\n`;
+        content += `${this.formatter.messageToHtml(msg, context)}\n`;
+        content += this.formatImages(msg, context);
+        content += this.formatReactions(msg, context);
         content += `</div>\n`;
       }
     });
 
+    content += this.formatContributors(messages, context);
     return content;
   }
 
   /**
-   * Escape HTML special characters
-   * @param {string} text - Text to escape
-   * @returns {string} Escaped text
+   * Format thread messages as serialized Gutenberg blocks
+   * The thread starter's blocks come first; every reply is a group block (class "thread-reply")
+   * that starts with its author and time, so editors can restyle or rearrange replies as a unit.
+   * @param {Array} messages - Thread messages
+   * @param {Object} context - Mention context (optional)
+   * @returns {string} Block markup
    */
-  escapeHtml(text) {
-    const map = {
-      '&': '&amp;',
-      '<': '&lt;',
-      '>': '&gt;',
-      '"': '&quot;',
-      "'": '&#039;'
-    };
-    return text.replace(/[&<>"']/g, m => map[m]).replace(/\n/g, '<br>');
+  formatBlockContent(messages, context = {}) {
+    const blocks = [];
+
+    messages.forEach((msg, index) => {
+      const messageBlocks = [
+        this.formatter.messageToBlocks(msg, context),
+        ...this.formatImageBlocks(msg, context),
+        this.formatReactionsBlock(msg, context)
+      ].filter(Boolean);
+
+      if (index === 0) {
+        blocks.push(...messageBlocks);
+      } else {
+        blocks.push(this.formatReplyGroup(msg, messageBlocks, context));
+      }
+    });
+
+    const names = this.getContributorNames(messages, context);
+    if (names.length > 0) {
+      blocks.push(this.formatter.serializeBlock('paragraph', { className: 'thread-contributors' },
+        `<p class="thread-contributors"><strong>Contributors:</strong> ${names.join(', ')}</p>`));
+    }
+    return `${blocks.join('\n\n')}\n`;
+  }
+
+  /**
+   * Wrap a reply's blocks in a group block headed by its author and time
+   * @param {Object} msg - Slack reply message
+   * @param {Array<string>} innerBlocks - Serialized blocks of the reply
+   * @param {Object} context - Render context (names and anonymization)
+   * @returns {string} Group block markup
+   */
+  formatReplyGroup(msg, innerBlocks, context = {}) {
+    const author = this.formatter.getMentionText({ type: 'user', id: msg.user, label: null }, context).replace(/^@/, '');
+    const date = new Date(parseFloat(msg.ts) * 1000);
+    const time = `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+
+    const byline = this.formatter.serializeBlock('paragraph', { className: 'thread-reply-meta' },
+      `<p class="thread-reply-meta"><strong>${this.formatter.escapeHtml(author)}</strong> · <time datetime="${date.toISOString()}">${time}</time></p>`);
+    return this.formatter.serializeBlock('group', {
+      className: 'thread-reply',
+      metadata: { name: `Reply from ${author}, ${time}` },
+      layout: { type: 'constrained' }
+    }, `<div class="wp-block-group thread-reply">${[byline, ...innerBlocks].join('\n\n')}</div>`);
+  }
+
+  /**
+   * Format the WordPress media library images of a message as image blocks
+   * @param {Object} msg - Slack message
+   * @param {Object} context - Render context; context.images maps message ts to [{ mediaId, url, alt }]
+   * @returns {Array<string>} Image block markup
+   */
+  formatImageBlocks(msg, context = {}) {
+    const images = context.images?.get(msg.ts) || [];
+    return images.map(image => this.formatter.serializeBlock('image', { id: image.mediaId },
+      `<figure class="wp-block-image"><img src="${this.formatter.escapeHtml(image.url)}" alt="${this.formatter.escapeHtml(image.alt || '')}" class="wp-image-${image.mediaId}"/></figure>`));
+  }
+
+  /**
+   * Format a message's reactions as a paragraph block
+   * @param {Object} msg - Slack message
+   * @param {Object} context - Render context (optional)
+   * @returns {string} Paragraph block markup or an empty string
+   */
+  formatReactionsBlock(msg, context = {}) {
+    const html = this.formatter.renderReactionsHtml(msg.reactions, context);
+    return html ? this.formatter.serializeBlock('paragraph', { className: 'slack-reactions' }, html) : '';
+  }
+
+  /**
+   * Get the display names of the reply authors other than the thread starter
+   * @param {Array} messages - Thread messages
+   * @param {Object} context - Render context (names and anonymization)
+   * @returns {Array<string>} HTML-escaped names
+   */
+  getContributorNames(messages, context = {}) {
+    const starter = messages[0].user;
+    const contributorIds = [...new Set(messages.slice(1).map(msg => msg.user).filter(id => id && id !== starter))];
+    return contributorIds.map(id =>
+      this.formatter.escapeHtml(this.formatter.getMentionText({ type: 'user', id, label: null }, context).replace(/^@/, ''))
+    );
+  }
+
+  /**
+   * List the reply authors (other than the thread starter) as contributors
+   * @param {Array} messages - Thread messages
+   * @param {Object} context - Render context (names and anonymization)
+   * @returns {string} HTML paragraph (with trailing newline) or an empty string
+   */
+  formatContributors(messages, context = {}) {
+    const names = this.getContributorNames(messages, context);
+    if (names.length === 0) {
+      return '';
+    }
+    return `<p class="thread-contributors"><strong>Contributors:</strong> ${names.join(', ')}</p>\n`;
+  }
+
+  /**
+   * Format the WordPress media library images of a message as HTML
+   * @param {Object} msg - Slack message
+   * @param {Object} context - Render context; context.images maps message ts to [{ mediaId, url, alt }]
+   * @returns {string} HTML figures (with trailing newlines) or an empty string
+   */
+  formatImages(msg, context = {}) {
+    const images = context.images?.get(msg.ts) || [];
+    return images.map(image =>
+      `<figure class="wp-block-image"><img src="${this.formatter.escapeHtml(image.url)}" alt="${this.formatter.escapeHtml(image.alt || '')}" class="wp-image-${image.mediaId}"/></figure>\n`
+    ).join('');
+  }
+
+  /**
+   * Format a message's reactions as HTML
+   * @param {Object} msg - Slack message
+   * @param {Object} context - Render context (optional)
+   * @returns {string} HTML line (with trailing newline) or an empty string
+   */
+  formatReactions(msg, context = {}) {
+    const html = this.formatter.renderReactionsHtml(msg.reactions, context);
+    return html ? `${html}\n` : '';
   }
 
   /**
@@ -261,23 +576,39 @@ class SlackService {
     }
 
     try {
-      const result = await this.client.users.info({ user: userId });
+      const result = await this.scheduler.schedule(() => this.client.users.info({ user: userId }), 'users.info');
       const user = result.user;
       
       // Prefer real_name, fallback to display_name, then name, then user ID
       const userName = user.real_name || user.profile?.display_name || user.name || userId;
       this.userCache.set(userId, userName);
+      this.userEmailCache.set(userId, user.profile?.email || null);
       return userName;
     } catch (error) {
       console.warn(`Could not resolve user ${userId}:`, error.message);
       // Cache the user ID itself to avoid repeated API calls for invalid users
       this.userCache.set(userId, userId);
+      this.userEmailCache.set(userId, null);
       return userId;
     }
   }
 
   /**
-   * Resolve multiple user IDs to their real names in parallel
+   * Get a user's email address (requires the users:read.email scope)
+   * @param {string} userId - Slack user ID
+   * @returns {Promise<string|null>} Email address or null if unavailable
+   */
+  async getUserEmail(userId) {
+    if (!userId) {
+      return null;
+    }
+    // users.info returns the email together with the name
+    await this.getUserName(userId);
+    return this.userEmailCache.get(userId) || null;
+  }
+
+  /**
+   * Resolve multiple user IDs to their real names in parallel (bounded by the request scheduler)
    * @param {Array<string>} userIds - Array of Slack user IDs
    * @returns {Promise<Map<string, string>>} Map of user ID to real name
    */
@@ -298,6 +629,83 @@ class SlackService {
 
     return userMap;
   }
+
+  /**
+   * Resolve a channel ID to its name
+   * @param {string} channelId - Slack channel ID
+   * @returns {Promise<string>} Channel name, or the channel ID if not found
+   */
+  async getChannelName(channelId) {
+    if (this.channelNameCache.has(channelId)) {
+      return this.channelNameCache.get(channelId);
+    }
+
+    try {
+      const result = await this.scheduler.schedule(() => this.client.conversations.info({ channel: channelId }), 'conversations.info');
+      const name = result.channel?.name || channelId;
+      this.channelNameCache.set(channelId, name);
+      return name;
+    } catch (error) {
+      console.warn(`Could not resolve channel ${channelId}:`, error.message);
+      this.channelNameCache.set(channelId, channelId);
+      return channelId;
+    }
+  }
+
+  /**
+   * Load all usergroup handles (requires the usergroups:read scope)
+   * @returns {Promise<Map<string, string>>} Map of usergroup ID to handle
+   */
+  async getUsergroups() {
+    if (this.usergroupCache) {
+      return this.usergroupCache;
+    }
+
+    this.usergroupCache = new Map();
+    try {
+      const result = await this.scheduler.schedule(() => this.client.usergroups.list(), 'usergroups.list');
+      (result.usergroups || []).forEach(group => {
+        this.usergroupCache.set(group.id, group.handle || group.name);
+      });
+    } catch (error) {
+      console.warn('Could not load usergroups (add the usergroups:read scope to resolve them):', error.message);
+    }
+    return this.usergroupCache;
+  }
+
+  /**
+   * Resolve message authors and every user, channel and usergroup mentioned in messages
+   * @param {Array} messages - Slack messages (from one or more threads)
+   * @returns {Promise<Object>} Mention context: { users, channels, usergroups } maps
+   */
+  async buildMentionContext(messages) {
+    const mentions = { users: new Set(), channels: new Set(), usergroups: new Set() };
+    messages.forEach(msg => {
+      if (msg.user) {
+        mentions.users.add(msg.user);
+      }
+      this.formatter.collectMentions(this.formatter.parseMessage(msg), mentions);
+    });
+
+    const users = await this.resolveUsers(Array.from(mentions.users));
+
+    const channels = new Map();
+    await Promise.all(Array.from(mentions.channels).map(async (channelId) => {
+      channels.set(channelId, await this.getChannelName(channelId));
+    }));
+
+    const usergroups = new Map();
+    if (mentions.usergroups.size > 0) {
+      const allGroups = await this.getUsergroups();
+      mentions.usergroups.forEach(groupId => {
+        if (allGroups.has(groupId)) {
+          usergroups.set(groupId, allGroups.get(groupId));
+        }
+      });
+    }
+
+    return { users, channels, usergroups };
+  }
 }
 
 module.exports = SlackService;
@@ -0,0 +1,369 @@
+const fs = require('fs').promises;
+const path = require('path');
+const JsonStateStore = require('./jsonStateStore');
+
+// Mapping fields with their own column; other fields (e.g. retired) go to the "extra" JSON column
+const MAPPING_COLUMNS = {
+  channelId: 'channel_id',
+  threadTs: 'thread_ts',
+  postId: 'post_id',
+  title: 'title',
+  lastUpdated: 'last_updated',
+  status: 'status',
+  contentHash: 'content_hash',
+  modifiedGmt: 'modified_gmt',
+  fingerprint: 'fingerprint',
+  slackReplyTs: 'slack_reply_ts'
+};
+
+// SCHEMA_MIGRATIONS[n] upgrades the database from schema version n to n + 1 (stored as PRAGMA user_version).
+// New mapping fields need no migration: fields without a column are kept in "extra".
+const SCHEMA_MIGRATIONS = [
+  // 1: initial schema
+  `
+  CREATE TABLE IF NOT EXISTS mappings (
+    key TEXT PRIMARY KEY,
+    channel_id TEXT,
+    thread_ts TEXT,
+    post_id INTEGER,
+    title TEXT,
+    last_updated TEXT,
+    status TEXT,
+    content_hash TEXT,
+    modified_gmt TEXT,
+    fingerprint TEXT,
+    slack_reply_ts TEXT,
+    extra TEXT
+  );
+  CREATE TABLE IF NOT EXISTS prompts (
+    key TEXT PRIMARY KEY,
+    prompt TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS media (
+    file_id TEXT PRIMARY KEY,
+    media_id INTEGER NOT NULL,
+    url TEXT,
+    uploaded_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS sync_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    channel_id TEXT NOT NULL,
+    thread_ts TEXT NOT NULL,
+    post_id INTEGER,
+    action TEXT NOT NULL,
+    synced_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS sync_history_thread ON sync_history (channel_id, thread_ts);
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+  `
+];
+
+/**
+ * State store backed by an embedded SQLite database (better-sqlite3)
+ *
+ * Every change writes only its own row, in a single synchronous statement, so large
+ * states stay fast and concurrent changes can't lose each other. On first start an
+ * existing state.json is imported once and renamed to state.json.migrated.
+ */
+class SqliteStateStore {
+  /**
+   * @param {string} databaseFile - SQLite database file
+   * @param {string} legacyJsonFile - state.json to import on first start (optional)
+   */
+  constructor(databaseFile, legacyJsonFile = null) {
+    this.databaseFile = databaseFile;
+    this.legacyJsonFile = legacyJsonFile;
+    this.db = null;
+    this.statements = null;
+  }
+
+  /**
+   * Open the database, create the tables and import state.json if needed
+   */
+  async init() {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error(
+        'The SQLite state backend needs the better-sqlite3 package, which is not installed. ' +
+        'Run "npm install better-sqlite3" or set STATE_BACKEND=json.'
+      );
+    }
+
+    await fs.mkdir(path.dirname(this.databaseFile), { recursive: true });
+    this.db = new Database(this.databaseFile);
+    this.db.pragma('journal_mode = WAL');
+    this.migrateSchema();
+
+    const mappingColumns = Object.values(MAPPING_COLUMNS);
+    this.statements = {
+      getMapping: this.db.prepare('SELECT * FROM mappings WHERE key = ?'),
+      allMappings: this.db.prepare(
+        'SELECT mappings.*, prompts.key IS NOT NULL AS has_prompt FROM mappings LEFT JOIN prompts ON prompts.key = mappings.key ORDER BY mappings.rowid'
+      ),
+      putMapping: this.db.prepare(
+        `INSERT INTO mappings (key, ${mappingColumns.join(', ')}, extra)
+         VALUES (@key, ${mappingColumns.map(column => `@${column}`).join(', ')}, @extra)
+         ON CONFLICT (key) DO UPDATE SET ${[...mappingColumns, 'extra'].map(column => `${column} = excluded.${column}`).join(', ')}`
+      ),
+      deleteMapping: this.db.prepare('DELETE FROM mappings WHERE key = ?'),
+      getPrompt: this.db.prepare('SELECT prompt FROM prompts WHERE key = ?'),
+      putPrompt: this.db.prepare(
+        `INSERT INTO prompts (key, prompt, updated_at) VALUES (?, ?, ?)
+         ON CONFLICT (key) DO UPDATE SET prompt = excluded.prompt, updated_at = excluded.updated_at`
+      ),
+      deletePrompt: this.db.prepare('DELETE FROM prompts WHERE key = ?'),
+      getMedia: this.db.prepare('SELECT * FROM media WHERE file_id = ?'),
+      putMedia: this.db.prepare(
+        `INSERT INTO media (file_id, media_id, url, uploaded_at) VALUES (?, ?, ?, ?)
+         ON CONFLICT (file_id) DO UPDATE SET media_id = excluded.media_id, url = excluded.url, uploaded_at = excluded.uploaded_at`
+      ),
+      addHistory: this.db.prepare(
+        'INSERT INTO sync_history (channel_id, thread_ts, post_id, action, synced_at) VALUES (?, ?, ?, ?, ?)'
+      ),
+      countMappings: this.db.prepare('SELECT COUNT(*) AS count FROM mappings'),
+      getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?'),
+      putMeta: this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)')
+    };
+
+    await this.migrateFromJson();
+  }
+
+  /**
+   * Bring the database schema up to the current version
+   * Each step runs in its own transaction, so a crash never leaves a half-migrated schema.
+   */
+  migrateSchema() {
+    const version = this.db.pragma('user_version', { simple: true });
+    if (version > SCHEMA_MIGRATIONS.length) {
+      throw new Error(
+        `${this.databaseFile} was written by a newer version of the app (schema version ${version}, ` +
+        `this version supports up to ${SCHEMA_MIGRATIONS.length}). Upgrade the app.`
+      );
+    }
+
+    for (let from = version; from < SCHEMA_MIGRATIONS.length; from++) {
+      this.db.transaction(() => {
+        this.db.exec(SCHEMA_MIGRATIONS[from]);
+        this.db.pragma(`user_version = ${from + 1}`);
+      })();
+    }
+  }
+
+  /**
+   * Import an existing state.json into an empty database (once)
+   * The JSON file is renamed afterwards so it can't be mistaken for the live state.
+   */
+  async migrateFromJson() {
+    if (!this.legacyJsonFile || this.statements.getMeta.get('migrated_from') ||
+        this.statements.countMappings.get().count > 0) {
+      return;
+    }
+
+    const legacy = new JsonStateStore(this.legacyJsonFile);
+    if (!(await legacy.load())) {
+      return;
+    }
+
+    const { mappings, prompts, media, history } = legacy.state;
+    this.db.transaction(() => {
+      Object.entries(mappings).forEach(([key, mapping]) => this.statements.putMapping.run(this.toRow(key, mapping)));
+      Object.entries(prompts).forEach(([key, prompt]) => this.statements.putPrompt.run(key, prompt, new Date().toISOString()));
+      Object.entries(media).forEach(([fileId, item]) =>
+        this.statements.putMedia.run(fileId, item.mediaId, item.url || null, item.uploadedAt || null)
+      );
+      history.forEach(entry =>
+        this.statements.addHistory.run(entry.channelId, entry.threadTs, entry.postId ?? null, entry.action, entry.syncedAt)
+      );
+      this.statements.putMeta.run('migrated_from', this.legacyJsonFile);
+    })();
+
+    const migratedFile = `${this.legacyJsonFile}.migrated`;
+    await fs.rename(this.legacyJsonFile, migratedFile);
+    console.log(
+      `Migrated ${Object.keys(mappings).length} mappings, ${Object.keys(prompts).length} LLM prompts and ` +
+      `${Object.keys(media).length} media uploads from ${this.legacyJsonFile} to ${this.databaseFile} ` +
+      `(the JSON file was renamed to ${path.basename(migratedFile)})`
+    );
+  }
+
+  /**
+   * Convert a mapping to a row of the mappings table
+   * @param {string} key - Mapping key
+   * @param {Object} mapping - Mapping
+   * @returns {Object} Row with named parameters
+   */
+  toRow(key, mapping) {
+    const row = { key };
+    const extra = {};
+    Object.entries(mapping).forEach(([field, value]) => {
+      if (value === undefined || value === null || field === 'llmPrompt' || field === 'hasLlmPrompt') {
+        return;
+      }
+      if (MAPPING_COLUMNS[field]) {
+        row[MAPPING_COLUMNS[field]] = value;
+      } else {
+        extra[field] = value;
+      }
+    });
+    Object.values(MAPPING_COLUMNS).forEach(column => {
+      row[column] = row[column] ?? null;
+    });
+    row.extra = Object.keys(extra).length > 0 ? JSON.stringify(extra) : null;
+    return row;
+  }
+
+  /**
+   * Convert a row of the mappings table to a mapping
+   * @param {Object} row - Row
+   * @returns {Object} Mapping (empty columns are left out)
+   */
+  fromRow(row) {
+    const mapping = {};
+    Object.entries(MAPPING_COLUMNS).forEach(([field, column]) => {
+      if (row[column] !== null) {
+        mapping[field] = row[column];
+      }
+    });
+    return { ...mapping, ...(row.extra ? JSON.parse(row.extra) : {}) };
+  }
+
+  /**
+   * Get a mapping by key
+   * @param {string} key - Mapping key
+   * @returns {Object|null} Mapping or null
+   */
+  getMapping(key) {
+    const row = this.statements.getMapping.get(key);
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * Get all mappings, flagged with whether an LLM prompt is stored
+   * @returns {Object} Mappings keyed by mapping key, each with hasLlmPrompt
+   */
+  getAllMappings() {
+    const mappings = {};
+    this.statements.allMappings.all().forEach(row => {
+      mappings[row.key] = { ...this.fromRow(row), hasLlmPrompt: row.has_prompt === 1 };
+    });
+    return mappings;
+  }
+
+  /**
+   * Store a mapping (replaces the stored mapping)
+   * @param {string} key - Mapping key
+   * @param {Object} mapping - Mapping
+   */
+  async putMapping(key, mapping) {
+    this.statements.putMapping.run(this.toRow(key, mapping));
+  }
+
+  /**
+   * Remove a mapping and its LLM prompt
+   * @param {string} key - Mapping key
+   */
+  async deleteMapping(key) {
+    this.db.transaction(() => {
+      this.statements.deleteMapping.run(key);
+      this.statements.deletePrompt.run(key);
+    })();
+  }
+
+  /**
+   * Get the LLM prompt of a mapping
+   * @param {string} key - Mapping key
+   * @returns {string|null} Prompt or null
+   */
+  getPrompt(key) {
+    return this.statements.getPrompt.get(key)?.prompt || null;
+  }
+
+  /**
+   * Store the LLM prompt of a mapping
+   * @param {string} key - Mapping key
+   * @param {string} prompt - Prompt text
+   */
+  async putPrompt(key, prompt) {
+    this.statements.putPrompt.run(key, prompt, new Date().toISOString());
+  }
+
+  /**
+   * Get a media upload by Slack file ID
+   * @param {string} fileId - Slack file ID
+   * @returns {Object|null} { mediaId, url, uploadedAt } or null
+   */
+  getMedia(fileId) {
+    const row = this.statements.getMedia.get(fileId);
+    return row ? { mediaId: row.media_id, url: row.url, uploadedAt: row.uploaded_at } : null;
+  }
+
+  /**
+   * Store a media upload
+   * @param {string} fileId - Slack file ID
+   * @param {Object} media - { mediaId, url, uploadedAt }
+   */
+  async putMedia(fileId, media) {
+    this.statements.putMedia.run(fileId, media.mediaId, media.url || null, media.uploadedAt || null);
+  }
+
+  /**
+   * Append a sync history entry
+   * @param {Object} entry - { channelId, threadTs, postId, action, syncedAt }
+   */
+  async addHistory(entry) {
+    this.statements.addHistory.run(entry.channelId, entry.threadTs, entry.postId ?? null, entry.action, entry.syncedAt);
+  }
+
+  /**
+   * Store a synced mapping, its LLM prompt and its history entry in one transaction
+   * @param {string} key - Mapping key
+   * @param {Object} mapping - Mapping (replaces the stored mapping)
+   * @param {string|null} prompt - Prompt text, or null to keep the stored prompt
+   * @param {Object} entry - { channelId, threadTs, postId, action, syncedAt }
+   */
+  async putSyncResult(key, mapping, prompt, entry) {
+    this.db.transaction(() => {
+      this.statements.putMapping.run(this.toRow(key, mapping));
+      if (prompt) {
+        this.statements.putPrompt.run(key, prompt, entry.syncedAt);
+      }
+      this.statements.addHistory.run(entry.channelId, entry.threadTs, entry.postId ?? null, entry.action, entry.syncedAt);
+    })();
+  }
+
+  /**
+   * Get sync history entries, newest first
+   * @param {Object} filter - { channelId, threadTs, limit }
+   * @returns {Array} History entries
+   */
+  getHistory(filter = {}) {
+    const conditions = [];
+    const params = [];
+    if (filter.channelId) {
+      conditions.push('channel_id = ?');
+      params.push(filter.channelId);
+    }
+    if (filter.threadTs) {
+      conditions.push('thread_ts = ?');
+      params.push(filter.threadTs);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.db.prepare(`SELECT * FROM sync_history ${where} ORDER BY id DESC LIMIT ?`)
+      .all(...params, filter.limit || 100)
+      .map(row => ({
+        channelId: row.channel_id,
+        threadTs: row.thread_ts,
+        postId: row.post_id,
+        action: row.action,
+        syncedAt: row.synced_at
+      }));
+  }
+}
+
+module.exports = SqliteStateStore;
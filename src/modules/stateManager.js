@@ -1,130 +1,378 @@
-const fs = require('fs').promises;
 const path = require('path');
+const JsonStateStore = require('./jsonStateStore');
+const SqliteStateStore = require('./sqliteStateStore');
 
+const STATE_BACKENDS = ['json', 'sqlite'];
+
+/**
+ * Thread-to-post mappings, LLM prompts, media uploads and sync history
+ *
+ * Storage is delegated to a store:
+ *   json   - JsonStateStore, one JSON file (STATE_FILE) rewritten on every change
+ *   sqlite - SqliteStateStore, an SQLite database (STATE_DB_FILE) that writes single rows
+ *
+ * A store implements init(), getMapping(key), getAllMappings(), putMapping(key, mapping),
+ * deleteMapping(key), getPrompt(key), putPrompt(key, prompt), getMedia(fileId),
+ * putMedia(fileId, media), addHistory(entry), getHistory(filter) and
+ * putSyncResult(key, mapping, prompt, entry), which writes all three at once.
+ * Reads are synchronous and writes return promises.
+ *
+ * Mappings are keyed by "channelId:threadTs" and hold
+ * { channelId, threadTs, postId, lastUpdated, title, status, contentHash, modifiedGmt, fingerprint, retired, slackReplyTs }.
+ */
 class StateManager {
-  constructor(filePath = 'state.json') {
+  /**
+   * @param {string} filePath - JSON state file (also imported by the sqlite backend on first start)
+   * @param {Object} options - { backend: 'json'|'sqlite', databaseFile, backupCount, backupIntervalMs }
+   */
+  constructor(filePath = 'state.json', options = {}) {
     this.filePath = path.resolve(filePath);
-    this.state = {
-      mappings: {} // threadTs -> { postId, lastUpdated, title }
-    };
+    this.backend = options.backend || 'json';
+    if (!STATE_BACKENDS.includes(this.backend)) {
+      throw new Error(`Invalid state backend "${this.backend}". Use one of: ${STATE_BACKENDS.join(', ')}`);
+    }
+
+    if (this.backend === 'sqlite') {
+      const databaseFile = path.resolve(options.databaseFile || filePath.replace(/\.json$/i, '') + '.db');
+      this.store = new SqliteStateStore(databaseFile, this.filePath);
+    } else {
+      this.store = new JsonStateStore(this.filePath, {
+        backupCount: options.backupCount,
+        backupIntervalMs: options.backupIntervalMs
+      });
+    }
   }
 
   /**
    * Initialize state manager by loading existing state
    */
   async init() {
-    try {
-      await this.load();
-    } catch (error) {
-      // If file doesn't exist, initialize with empty state
-      console.log('No existing state file found, creating new one');
-      await this.save();
-    }
+    await this.store.init();
   }
 
   /**
-   * Load state from JSON file
+   * Build the mapping key for a Slack thread
+   * Threads are keyed by channel and thread ts so two channels can never collide.
+   * @param {string} channelId - Slack channel ID
+   * @param {string} threadTs - Slack thread timestamp
+   * @returns {string} Mapping key
    */
-  async load() {
-    try {
-      const data = await fs.readFile(this.filePath, 'utf8');
-      this.state = JSON.parse(data);
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
-        console.error('Error loading state:', error);
-        throw error;
-      }
-      // File doesn't exist, keep default state
-    }
+  getMappingKey(channelId, threadTs) {
+    return `${channelId}:${threadTs}`;
   }
 
   /**
-   * Save state to JSON file
+   * Re-key mappings stored before multi-channel support (keyed by thread ts only)
+   * @param {string} channelId - Channel the legacy mappings belong to
+   * @returns {Promise<number>} Number of migrated mappings
    */
-  async save() {
-    try {
-      const data = JSON.stringify(this.state, null, 2);
-      await fs.writeFile(this.filePath, data, 'utf8');
-    } catch (error) {
-      console.error('Error saving state:', error);
-      throw error;
+  async migrateLegacyMappings(channelId) {
+    const legacyKeys = Object.keys(this.store.getAllMappings()).filter(key => !key.includes(':'));
+
+    for (const key of legacyKeys) {
+      const newKey = this.getMappingKey(channelId, key);
+      const prompt = this.store.getPrompt(key);
+      if (!this.store.getMapping(newKey)) {
+        await this.store.putMapping(newKey, { ...this.store.getMapping(key), channelId, threadTs: key });
+        if (prompt) {
+          await this.store.putPrompt(newKey, prompt);
+        }
+      }
+      await this.store.deleteMapping(key);
     }
+
+    if (legacyKeys.length > 0) {
+      console.log(`Migrated ${legacyKeys.length} legacy mappings to channel ${channelId}`);
+    }
+    return legacyKeys.length;
   }
 
   /**
    * Get WordPress post ID for a Slack thread
+   * @param {string} channelId - Slack channel ID
    * @param {string} threadTs - Slack thread timestamp
    * @returns {number|null} WordPress post ID or null
    */
-  getPostId(threadTs) {
-    return this.state.mappings[threadTs]?.postId || null;
+  getPostId(channelId, threadTs) {
+    return this.getMapping(channelId, threadTs)?.postId || null;
+  }
+
+  /**
+   * Get the full mapping of a Slack thread
+   * @param {string} channelId - Slack channel ID
+   * @param {string} threadTs - Slack thread timestamp
+   * @returns {Object|null} Mapping or null
+   */
+  getMapping(channelId, threadTs) {
+    return this.store.getMapping(this.getMappingKey(channelId, threadTs));
   }
 
   /**
    * Check if a thread is already mapped
+   * @param {string} channelId - Slack channel ID
    * @param {string} threadTs - Slack thread timestamp
    * @returns {boolean} True if mapped
    */
-  isMapped(threadTs) {
-    return threadTs in this.state.mappings;
+  isMapped(channelId, threadTs) {
+    return this.getMapping(channelId, threadTs) !== null;
   }
 
   /**
    * Add or update a thread-to-post mapping
+   * Fields stored by other setters (e.g. slackReplyTs) are kept.
+   * @param {string} channelId - Slack channel ID
    * @param {string} threadTs - Slack thread timestamp
    * @param {number} postId - WordPress post ID
    * @param {string} title - Post title
    * @param {string} llmPrompt - Optional LLM prompt for the thread
+   * @param {Object} changes - Further mapping fields to set in the same write (undefined removes a field)
    */
-  async setMapping(threadTs, postId, title, llmPrompt = null) {
-    this.state.mappings[threadTs] = {
+  async setMapping(channelId, threadTs, postId, title, llmPrompt = null, changes = {}) {
+    const key = this.getMappingKey(channelId, threadTs);
+    await this.store.putMapping(key, {
+      ...this.store.getMapping(key),
+      channelId,
+      threadTs,
       postId,
       title,
       lastUpdated: new Date().toISOString(),
-      ...(llmPrompt && { llmPrompt })
-    };
-    await this.save();
+      ...changes
+    });
+    if (llmPrompt) {
+      await this.store.putPrompt(key, llmPrompt);
+    }
+  }
+
+  /**
+   * Apply changes to an existing mapping
+   * @param {string} channelId - Slack channel ID
+   * @param {string} threadTs - Slack thread timestamp
+   * @param {Object} changes - Fields to set (undefined removes a field)
+   * @returns {Promise<boolean>} True if stored, false if thread mapping doesn't exist
+   */
+  async updateMapping(channelId, threadTs, changes) {
+    const key = this.getMappingKey(channelId, threadTs);
+    const mapping = this.store.getMapping(key);
+    if (!mapping) {
+      return false;
+    }
+    await this.store.putMapping(key, { ...mapping, ...changes });
+    return true;
+  }
+
+  /**
+   * Store everything a post write changes in one step: the mapping with its new fields,
+   * the LLM prompt and the sync history entry
+   * A crash can't leave a mapping that points at the new post but still carries the old
+   * version or fingerprint.
+   * @param {string} channelId - Slack channel ID
+   * @param {string} threadTs - Slack thread timestamp
+   * @param {Object} result - { postId, title, action, llmPrompt, changes } where action is
+   *   'created' or 'updated' and changes are further mapping fields (undefined removes a field)
+   */
+  async saveSyncResult(channelId, threadTs, result) {
+    const key = this.getMappingKey(channelId, threadTs);
+    const now = new Date().toISOString();
+    await this.store.putSyncResult(key, {
+      ...this.store.getMapping(key),
+      channelId,
+      threadTs,
+      postId: result.postId,
+      title: result.title,
+      lastUpdated: now,
+      ...result.changes
+    }, result.llmPrompt || null, {
+      channelId,
+      threadTs,
+      postId: result.postId,
+      action: result.action,
+      syncedAt: now
+    });
   }
 
   /**
    * Get LLM prompt for a thread
+   * @param {string} channelId - Slack channel ID
    * @param {string} threadTs - Slack thread timestamp
    * @returns {string|null} LLM prompt or null
    */
-  getLLMPrompt(threadTs) {
-    return this.state.mappings[threadTs]?.llmPrompt || null;
+  getLLMPrompt(channelId, threadTs) {
+    return this.store.getPrompt(this.getMappingKey(channelId, threadTs));
   }
 
   /**
    * Set LLM prompt for a thread
+   * @param {string} channelId - Slack channel ID
    * @param {string} threadTs - Slack thread timestamp
    * @param {string} llmPrompt - LLM prompt text
-   * @returns {boolean} True if prompt was set, false if thread mapping doesn't exist
+   * @returns {Promise<boolean>} True if prompt was set, false if thread mapping doesn't exist
    */
-  async setLLMPrompt(threadTs, llmPrompt) {
-    if (this.state.mappings[threadTs]) {
-      this.state.mappings[threadTs].llmPrompt = llmPrompt;
-      await this.save();
-      return true;
+  async setLLMPrompt(channelId, threadTs, llmPrompt) {
+    if (!this.isMapped(channelId, threadTs)) {
+      return false;
     }
-    return false;
+    await this.store.putPrompt(this.getMappingKey(channelId, threadTs), llmPrompt);
+    return true;
+  }
+
+  /**
+   * Get the ts of the bot's "published to WordPress" reply in a thread
+   * @param {string} channelId - Slack channel ID
+   * @param {string} threadTs - Slack thread timestamp
+   * @returns {string|null} Reply ts or null
+   */
+  getSlackReplyTs(channelId, threadTs) {
+    return this.getMapping(channelId, threadTs)?.slackReplyTs || null;
+  }
+
+  /**
+   * Store the ts of the bot's "published to WordPress" reply in a thread
+   * @param {string} channelId - Slack channel ID
+   * @param {string} threadTs - Slack thread timestamp
+   * @param {string} slackReplyTs - Reply ts
+   * @returns {Promise<boolean>} True if stored, false if thread mapping doesn't exist
+   */
+  async setSlackReplyTs(channelId, threadTs, slackReplyTs) {
+    return this.updateMapping(channelId, threadTs, { slackReplyTs });
+  }
+
+  /**
+   * Get the post status WordPress reported at the last sync of a thread
+   * @param {string} channelId - Slack channel ID
+   * @param {string} threadTs - Slack thread timestamp
+   * @returns {string|null} Post status or null
+   */
+  getPostStatus(channelId, threadTs) {
+    return this.getMapping(channelId, threadTs)?.status || null;
+  }
+
+  /**
+   * Store the post status WordPress reported for a thread
+   * @param {string} channelId - Slack channel ID
+   * @param {string} threadTs - Slack thread timestamp
+   * @param {string} status - Post status
+   * @returns {Promise<boolean>} True if stored, false if thread mapping doesn't exist
+   */
+  async setPostStatus(channelId, threadTs, status) {
+    return this.updateMapping(channelId, threadTs, { status });
+  }
+
+  /**
+   * Get the version of a thread's post as last written by the app
+   * @param {string} channelId - Slack channel ID
+   * @param {string} threadTs - Slack thread timestamp
+   * @returns {Object|null} { contentHash, modifiedGmt } or null if not recorded
+   */
+  getPostVersion(channelId, threadTs) {
+    const mapping = this.getMapping(channelId, threadTs);
+    if (!mapping?.contentHash) {
+      return null;
+    }
+    return { contentHash: mapping.contentHash, modifiedGmt: mapping.modifiedGmt };
+  }
+
+  /**
+   * Store the version of a thread's post as written by the app
+   * @param {string} channelId - Slack channel ID
+   * @param {string} threadTs - Slack thread timestamp
+   * @param {Object} version - { contentHash, modifiedGmt }
+   * @returns {Promise<boolean>} True if stored, false if thread mapping doesn't exist
+   */
+  async setPostVersion(channelId, threadTs, version) {
+    return this.updateMapping(channelId, threadTs, {
+      contentHash: version.contentHash,
+      modifiedGmt: version.modifiedGmt
+    });
+  }
+
+  /**
+   * Mark a thread as retired (its post was removed in WordPress), or bring it back
+   * Retired threads are left out of syncs.
+   * @param {string} channelId - Slack channel ID
+   * @param {string} threadTs - Slack thread timestamp
+   * @param {Object|null} retired - { postId, state, status } of the removed post (status before it was
+   *   trashed, if known), or null to un-retire
+   * @returns {Promise<boolean>} True if stored, false if thread mapping doesn't exist
+   */
+  async setRetired(channelId, threadTs, retired) {
+    return this.updateMapping(channelId, threadTs, {
+      retired: retired ? { ...retired, retiredAt: new Date().toISOString() } : undefined
+    });
+  }
+
+  /**
+   * Store the fingerprint of the thread content last synced to WordPress
+   * @param {string} channelId - Slack channel ID
+   * @param {string} threadTs - Slack thread timestamp
+   * @param {string} fingerprint - Thread fingerprint
+   * @returns {Promise<boolean>} True if stored, false if thread mapping doesn't exist
+   */
+  async setFingerprint(channelId, threadTs, fingerprint) {
+    return this.updateMapping(channelId, threadTs, { fingerprint });
+  }
+
+  /**
+   * Get the WordPress media item uploaded for a Slack file
+   * @param {string} fileId - Slack file ID
+   * @returns {Object|null} { mediaId, url } or null if not uploaded yet
+   */
+  getMedia(fileId) {
+    return this.store.getMedia(fileId);
+  }
+
+  /**
+   * Remember the WordPress media item uploaded for a Slack file
+   * @param {string} fileId - Slack file ID
+   * @param {Object} media - { mediaId, url }
+   */
+  async setMedia(fileId, media) {
+    await this.store.putMedia(fileId, {
+      ...media,
+      uploadedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Record a post write in the sync history
+   * @param {string} channelId - Slack channel ID
+   * @param {string} threadTs - Slack thread timestamp
+   * @param {Object} entry - { postId, action } where action is 'created' or 'updated'
+   */
+  async recordSync(channelId, threadTs, entry) {
+    await this.store.addHistory({
+      channelId,
+      threadTs,
+      postId: entry.postId,
+      action: entry.action,
+      syncedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Get the sync history, newest first
+   * @param {Object} filter - { channelId, threadTs, limit } (all optional, limit defaults to 100)
+   * @returns {Array} { channelId, threadTs, postId, action, syncedAt } entries
+   */
+  getSyncHistory(filter = {}) {
+    return this.store.getHistory(filter);
   }
 
   /**
    * Get all mappings
-   * @returns {Object} All thread-to-post mappings
+   * LLM prompts are left out; hasLlmPrompt tells whether one is stored.
+   * @returns {Object} All thread-to-post mappings keyed by "channelId:threadTs"
    */
   getAllMappings() {
-    return this.state.mappings;
+    return this.store.getAllMappings();
   }
 
   /**
    * Remove a mapping
+   * @param {string} channelId - Slack channel ID
    * @param {string} threadTs - Slack thread timestamp
    */
-  async removeMapping(threadTs) {
-    delete this.state.mappings[threadTs];
-    await this.save();
+  async removeMapping(channelId, threadTs) {
+    await this.store.deleteMapping(this.getMappingKey(channelId, threadTs));
   }
 }
 
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+
+// Finished jobs kept for GET /api/jobs/:id (oldest are dropped first)
+const MAX_FINISHED_JOBS = 20;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Runs full syncs (SyncService.syncAll) as background jobs
+ *
+ * Jobs run one at a time in the order they were queued, so two syncs never work on
+ * the same threads or share the progress. A job can be cancelled while queued, or
+ * while running, in which case the sync stops before its next step or thread.
+ * Finished jobs keep their results until MAX_FINISHED_JOBS newer jobs have finished.
+ */
+class SyncJobQueue {
+  constructor(syncService) {
+    this.syncService = syncService;
+    this.jobs = new Map(); // job ID -> job, in the order they were queued
+    this.queue = []; // IDs of jobs waiting to run
+    this.activeJob = null;
+  }
+
+  /**
+   * Queue a full sync
+   * @param {Object} options - syncAll options (channelId, oldest, latest, force)
+   * @returns {Object} The job, as returned by getJob
+   */
+  enqueue(options = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      options,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: null,
+      results: null,
+      error: null,
+      controller: new AbortController()
+    };
+    this.jobs.set(job.id, job);
+    this.queue.push(job.id);
+    this.runNext();
+    return this.describe(job);
+  }
+
+  /**
+   * Start the next queued job, unless a job is running
+   */
+  runNext() {
+    if (this.activeJob || this.queue.length === 0) {
+      return;
+    }
+
+    const job = this.jobs.get(this.queue.shift());
+    this.activeJob = job;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    this.syncService.syncAll({ ...job.options, jobId: job.id, signal: job.controller.signal })
+      .then(results => {
+        job.results = results;
+        job.status = results.cancelled ? 'cancelled' : 'completed';
+      })
+      .catch(error => {
+        job.error = error.message;
+        job.status = 'failed';
+      })
+      .finally(() => {
+        job.progress = this.syncService.getSyncProgress();
+        job.finishedAt = new Date().toISOString();
+        this.activeJob = null;
+        this.pruneFinishedJobs();
+        this.runNext();
+      });
+  }
+
+  /**
+   * Cancel a job
+   * A queued job is dropped; a running job stops before its next step or thread.
+   * @param {string} id - Job ID
+   * @returns {Object|null} The job, or null if there is no such job
+   * @throws {Error} If the job has already finished
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw new Error(`Sync job ${id} has already ${job.status === 'failed' ? 'failed' : `been ${job.status}`}`);
+    }
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queuedId => queuedId !== id);
+      job.status = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+      this.pruneFinishedJobs();
+    } else {
+      job.controller.abort();
+      job.status = 'cancelling';
+    }
+    return this.describe(job);
+  }
+
+  /**
+   * Get a job
+   * @param {string} id - Job ID
+   * @returns {Object|null} { id, status, options, createdAt, startedAt, finishedAt, position, progress, results, error } or null
+   */
+  getJob(id) {
+    const job = this.jobs.get(id);
+    return job ? this.describe(job) : null;
+  }
+
+  /**
+   * Get all known jobs, newest first
+   * @returns {Array<Object>} Jobs as returned by getJob, without results
+   */
+  getJobs() {
+    return [...this.jobs.values()].reverse().map(job => {
+      const { results, ...summary } = this.describe(job);
+      return summary;
+    });
+  }
+
+  /**
+   * Build the public view of a job
+   * @param {Object} job - Job
+   * @returns {Object} Job without internals; progress is live while the job runs
+   */
+  describe(job) {
+    const { controller, ...view } = job;
+    return {
+      ...view,
+      position: job.status === 'queued' ? this.queue.indexOf(job.id) + 1 : null,
+      progress: job === this.activeJob ? this.syncService.getSyncProgress() : job.progress
+    };
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond MAX_FINISHED_JOBS
+   */
+  pruneFinishedJobs() {
+    const finished = [...this.jobs.values()].filter(job => FINISHED_STATUSES.includes(job.status));
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(job => this.jobs.delete(job.id));
+  }
+}
+
+module.exports = SyncJobQueue;
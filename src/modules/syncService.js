@@ -1,30 +1,203 @@
 const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const SlackService = require('./slackService');
 const WordPressService = require('./wordpressService');
 const StateManager = require('./stateManager');
 const MarkdownExporter = require('./markdownExporter');
 const ImageDownloader = require('./imageDownloader');
+const EmojiService = require('./emojiService');
+const RequestScheduler = require('./requestScheduler');
+const AuthorMapper = require('./authorMapper');
+const MediaUploader = require('./mediaUploader');
+const TaxonomyService = require('./taxonomyService');
+
+// Post statuses a thread can be synced with ('future' needs a publish date)
+const POST_STATUSES = ['draft', 'pending', 'private', 'publish', 'future'];
+
+// What to do when a post was edited in WordPress since the last sync
+const CONFLICT_POLICIES = ['skip', 'overwrite', 'revision'];
+
+// How post content is written: classic HTML or Gutenberg blocks
+const POST_FORMATS = ['classic', 'blocks'];
+
+// What to do when a synced post was deleted or trashed in WordPress
+const MISSING_POST_POLICIES = ['retire', 'recreate', 'restore'];
+
+// Bump when the post rendering changes, so every thread is re-sent once
+// (2: posts carry the Slack thread in post meta; 3: permalink, participant and reply counts in meta)
+const FINGERPRINT_VERSION = 3;
 
 class SyncService {
   constructor(config) {
-    this.slackService = new SlackService(config.slackToken);
+    // One scheduler for every Slack API call and file download, so the concurrency
+    // limit and rate-limit pauses apply across threads, images and user lookups
+    this.scheduler = new RequestScheduler({
+      concurrency: config.slackConcurrency,
+      maxRetries: config.slackMaxRetries,
+      onRetry: (info) => this.recordRetry(info)
+    });
+    this.slackService = new SlackService(config.slackToken, {
+      maxThreadReplies: config.maxThreadReplies,
+      scheduler: this.scheduler
+    });
     this.wordpressService = new WordPressService(
       config.wordpressUrl,
       config.wordpressUsername,
-      config.wordpressPassword
+      config.wordpressPassword,
+      { postType: config.wordpressPostType }
     );
-    this.stateManager = new StateManager(config.stateFile);
+    this.authorMapper = new AuthorMapper(this.slackService, this.wordpressService, {
+      overrides: config.authorOverrides,
+      defaultAuthor: config.defaultAuthor,
+      matchByEmail: config.matchAuthorsByEmail
+    });
+    this.taxonomyService = new TaxonomyService(this.wordpressService, this.slackService.formatter, {
+      hashtagTags: config.hashtagTags,
+      categoryRules: config.categoryRules
+    });
+    this.stateManager = new StateManager(config.stateFile, {
+      backend: config.stateBackend,
+      databaseFile: config.stateDatabaseFile,
+      backupCount: config.stateBackupCount,
+      backupIntervalMs: (config.stateBackupIntervalMinutes || 60) * 60 * 1000
+    });
+    this.uploadImages = config.uploadImages !== false;
+    this.conflictPolicy = this.validateConflictPolicy(config.conflictPolicy || 'skip');
+    this.missingPostPolicy = this.validateMissingPostPolicy(config.missingPostPolicy || 'retire');
+    this.mediaUploader = new MediaUploader(this.wordpressService, this.stateManager);
     this.imageDownloader = new ImageDownloader(
       this.slackService.client,
       config.markdownOutputDir ? path.dirname(config.markdownOutputDir) : './data',
-      config.slackToken
+      config.slackToken,
+      this.scheduler
+    );
+    this.emojiService = new EmojiService(
+      this.slackService.client,
+      this.imageDownloader,
+      path.join(this.imageDownloader.baseDir, 'emoji-cache.json')
     );
+    this.markdownOutputDir = config.markdownOutputDir || './data/posts';
     this.markdownExporter = new MarkdownExporter(
-      config.markdownOutputDir || './data/posts',
-      this.imageDownloader
+      this.markdownOutputDir,
+      this.imageDownloader,
+      this.slackService
     );
-    this.channelId = config.channelId;
+    this.channels = this.normalizeChannels(config);
+    this.markdownExporters = new Map(); // channelId -> MarkdownExporter for channel subfolders
     this.syncProgress = null;
+    this.events = new EventEmitter(); // "progress" (progress summary) and "thread" (per-thread result) during syncAll
+    this.events.setMaxListeners(0); // One listener per open /api/sync/events stream
+    this.threadLocks = new Map(); // "channelId:threadTs" -> promise of the running sync of that thread
+  }
+
+  /**
+   * Build the list of channels to sync from config
+   * Accepts either `channels` (array of channel configs) or a single legacy `channelId`.
+   * @param {Object} config - Sync service config
+   * @returns {Array<Object>} Normalized channel configs
+   */
+  normalizeChannels(config) {
+    const channels = config.channels && config.channels.length > 0
+      ? config.channels
+      : (config.channelId ? [{ id: config.channelId }] : []);
+
+    return channels.map(channel => {
+      if (!channel.id) {
+        throw new Error('Every channel in the channel configuration needs an "id"');
+      }
+      const status = channel.status || 'draft';
+      if (!POST_STATUSES.includes(status) || status === 'future') {
+        throw new Error(`Channel ${channel.id} has an invalid status "${status}". Use draft, pending, private or publish`);
+      }
+      const postFormat = channel.postFormat || config.postFormat || 'classic';
+      if (!POST_FORMATS.includes(postFormat)) {
+        throw new Error(`Channel ${channel.id} has an invalid post format "${postFormat}". Use ${POST_FORMATS.join(' or ')}`);
+      }
+      const publishReaction = channel.publishReaction ?? config.publishReaction;
+      return {
+        id: channel.id,
+        name: channel.name || channel.id,
+        category: channel.category ? Number(channel.category) : null,
+        status,
+        postFormat,
+        markdownSubfolder: channel.markdownSubfolder || '',
+        anonymizeMentions: channel.anonymizeMentions !== undefined
+          ? Boolean(channel.anonymizeMentions)
+          : Boolean(config.anonymizeMentions),
+        postLinkReply: channel.postLinkReply !== undefined
+          ? Boolean(channel.postLinkReply)
+          : Boolean(config.postLinkReply),
+        publishReaction: publishReaction ? publishReaction.replace(/^:|:$/g, '') : null,
+        publishReactionUsers: channel.publishReactionUsers || config.publishReactionUsers || []
+      };
+    });
+  }
+
+  /**
+   * Get the configuration for a channel
+   * @param {string} channelId - Slack channel ID (defaults to the first configured channel)
+   * @returns {Object} Channel config
+   */
+  getChannelConfig(channelId) {
+    if (!channelId) {
+      if (this.channels.length === 0) {
+        throw new Error('No Slack channels configured. Set SLACK_CHANNEL_ID or CHANNELS_FILE.');
+      }
+      return this.channels[0];
+    }
+    const channel = this.channels.find(ch => ch.id === channelId);
+    if (!channel) {
+      throw new Error(`Channel ${channelId} is not in the channel configuration`);
+    }
+    return channel;
+  }
+
+  /**
+   * Get the markdown exporter for a channel (writes into the channel's subfolder)
+   * @param {Object} channel - Channel config
+   * @returns {MarkdownExporter} Exporter instance
+   */
+  getMarkdownExporter(channel) {
+    if (!channel.markdownSubfolder) {
+      return this.markdownExporter;
+    }
+    if (!this.markdownExporters.has(channel.id)) {
+      this.markdownExporters.set(channel.id, new MarkdownExporter(
+        path.join(this.markdownOutputDir, channel.markdownSubfolder),
+        this.imageDownloader,
+        this.slackService
+      ));
+    }
+    return this.markdownExporters.get(channel.id);
+  }
+
+  /**
+   * Resolve everything needed to render messages: mentioned users, channels and
+   * usergroups, plus custom workspace emoji used in messages and reactions
+   * @param {Array} messages - Slack messages (from one or more threads)
+   * @returns {Promise<Object>} Render context for the formatters
+   */
+  async buildRenderContext(messages) {
+    const context = await this.slackService.buildMentionContext(messages);
+
+    try {
+      const emojiNames = new Set();
+      messages.forEach(msg => {
+        this.slackService.formatter.collectEmoji(this.slackService.formatter.parseMessage(msg), emojiNames);
+        (msg.reactions || []).forEach(reaction => emojiNames.add(reaction.name.split('::')[0]));
+      });
+      // Standard emoji render as Unicode; only unknown shortcodes can be custom emoji
+      const candidates = Array.from(emojiNames).filter(name => !this.slackService.formatter.lookupEmoji(name));
+      context.customEmoji = candidates.length > 0
+        ? await this.emojiService.getCustomEmojiImages(candidates)
+        : new Map();
+    } catch (error) {
+      console.warn('Error loading custom emoji (continuing with shortcodes):', error.message);
+      context.customEmoji = new Map();
+    }
+
+    return context;
   }
 
   /**
@@ -32,6 +205,10 @@ class SyncService {
    */
   async init() {
     await this.stateManager.init();
+    // Mappings from single-channel versions belong to the first configured channel
+    if (this.channels.length > 0) {
+      await this.stateManager.migrateLegacyMappings(this.channels[0].id);
+    }
   }
 
   /**
@@ -43,296 +220,731 @@ class SyncService {
   }
 
   /**
-   * Sync all threads from Slack channel to WordPress
-   * @returns {Promise<Object>} Sync results
+   * Record a scheduler retry in the sync progress
+   * @param {Object} info - Retry info from RequestScheduler ({ label, attempt, delayMs, rateLimited, stats })
+   */
+  recordRetry(info) {
+    if (!this.syncProgress || ['completed', 'cancelled', 'error'].includes(this.syncProgress.status)) {
+      return;
+    }
+    this.updateProgress({
+      retries: info.stats,
+      ...(info.rateLimited && {
+        message: `Slack rate limit reached, waiting ${Math.ceil(info.delayMs / 1000)}s before continuing...`
+      })
+    });
+  }
+
+  /**
+   * Update the sync progress and notify listeners of the "progress" event
+   * @param {Object} changes - Progress fields to change
    */
-  async syncAll() {
-    this.syncProgress = {
+  updateProgress(changes = {}) {
+    Object.assign(this.syncProgress, changes);
+    this.events.emit('progress', this.getProgressSummary());
+  }
+
+  /**
+   * Get the current sync progress with result counts instead of result lists
+   * This is what the "progress" event carries, so events stay small during long syncs.
+   * @returns {Object|null} Progress with counts { created, updated, skipped, conflicts, missing, errors,
+   *   markdownExported, imagesDownloaded }, or null if no sync is running
+   */
+  getProgressSummary() {
+    if (!this.syncProgress) {
+      return null;
+    }
+    const { results, ...progress } = this.syncProgress;
+    return {
+      ...progress,
+      counts: {
+        created: results.created.length,
+        updated: results.updated.length,
+        skipped: results.skipped.length,
+        conflicts: results.conflicts.length,
+        missing: results.missing.length,
+        errors: results.errors.length,
+        markdownExported: results.markdownExported,
+        imagesDownloaded: results.imagesDownloaded
+      }
+    };
+  }
+
+  /**
+   * Sync all threads from the configured Slack channels to WordPress
+   * @param {Object} options - Sync options
+   * @param {string} options.channelId - Only sync this channel (defaults to all configured channels)
+   * @param {string|number} options.oldest - Only sync threads started at or after this time (Slack ts or date)
+   * @param {string|number} options.latest - Only sync threads started at or before this time (Slack ts or date)
+   * @param {boolean} options.force - Re-send threads that haven't changed since the last sync
+   * @param {AbortSignal} options.signal - Stops the sync before its next step or thread when aborted
+   *   (running image downloads are aborted too)
+   * @param {string} options.jobId - ID of the sync job running this sync (shown in the progress)
+   * @returns {Promise<Object>} Sync results (cancelled is true if the signal stopped the sync)
+   */
+  async syncAll(options = {}) {
+    this.scheduler.resetStats();
+    const progress = {
+      jobId: options.jobId || null,
       status: 'starting',
       message: 'Initializing sync...',
       step: 0,
       totalSteps: 0,
+      currentChannel: null,
       currentThread: null,
+      retries: this.scheduler.getStats(),
       results: {
         created: [],
         updated: [],
         skipped: [],
+        conflicts: [],
+        missing: [],
         errors: [],
         markdownExported: 0,
         imagesDownloaded: 0
       }
     };
+    this.syncProgress = progress;
+    this.updateProgress();
 
     const results = {
       created: [],
       updated: [],
       skipped: [],
+      conflicts: [],
+      missing: [],
       errors: [],
       markdownExported: 0,
-      markdownErrors: 0
+      markdownErrors: 0,
+      imagesDownloaded: 0,
+      retries: null,
+      cancelled: false
     };
 
     try {
-      // Step 1: Validate channel access
-      this.syncProgress.status = 'validating';
-      this.syncProgress.message = 'Validating channel access...';
-      this.syncProgress.step = 1;
-      await this.slackService.validateChannel(this.channelId);
-      
-      // Step 2: Get all threads from channel
-      this.syncProgress.status = 'fetching';
-      this.syncProgress.message = 'Fetching threads from Slack channel...';
-      this.syncProgress.step = 2;
-      const threads = await this.slackService.getChannelThreads(this.channelId);
-      console.log(`Found ${threads.length} threads in channel`);
-      
-      this.syncProgress.totalSteps = threads.length;
-      this.syncProgress.message = `Found ${threads.length} threads. Processing...`;
-
-      // Step 3: Fetch all thread messages in parallel
-      this.syncProgress.status = 'fetching-threads';
-      this.syncProgress.message = `Fetching messages for ${threads.length} threads...`;
-      this.syncProgress.step = 3;
-      
-      const threadDataPromises = threads.map(async (thread) => {
-        try {
-          const messages = await this.slackService.getThreadReplies(this.channelId, thread.ts);
-          return { threadTs: thread.ts, messages, success: true };
-        } catch (error) {
-          return { threadTs: thread.ts, messages: null, success: false, error: error.message };
-        }
-      });
-      
-      const threadData = await Promise.all(threadDataPromises);
-      
-      // Step 4: Download images in parallel (most important!)
-      this.syncProgress.status = 'downloading-images';
-      this.syncProgress.message = `Downloading images from ${threadData.filter(t => t.success).length} threads...`;
-      this.syncProgress.step = 4;
-      
-      const successfulThreads = threadData.filter(t => t.success);
-      let imageDownloadResults = [];
-      let totalImagesDownloaded = 0;
-      
-      try {
-        const imageDownloadPromises = successfulThreads.map(async ({ messages, threadTs }) => {
-          try {
-            const downloads = await this.imageDownloader.downloadThreadImages(messages, threadTs);
-            const imageCount = downloads.reduce((sum, msg) => sum + (msg.images?.filter(i => i.success).length || 0), 0);
-            totalImagesDownloaded += imageCount;
-            return { threadTs, downloads, success: true, imageCount };
-          } catch (error) {
-            console.error(`Error downloading images for thread ${threadTs}:`, error);
-            return { threadTs, downloads: [], success: false, error: error.message };
-          }
-        });
-        
-        imageDownloadResults = await Promise.all(imageDownloadPromises);
-        console.log(`Image download complete: ${totalImagesDownloaded} images downloaded`);
-      } catch (imageError) {
-        console.error('Error during image download (continuing anyway):', imageError);
-      }
-      
-      // Step 5: Resolve user IDs to real names
-      this.syncProgress.status = 'resolving-users';
-      this.syncProgress.message = `Resolving user names...`;
-      this.syncProgress.step = 5;
-      
-      let userMap = new Map();
-      try {
-        // Collect all unique user IDs from all messages
-        const allUserIds = new Set();
-        successfulThreads.forEach(({ messages }) => {
-          messages.forEach(msg => {
-            if (msg.user) {
-              allUserIds.add(msg.user);
-            }
-          });
-        });
-        
-        if (allUserIds.size > 0) {
-          console.log(`Resolving ${allUserIds.size} unique user IDs...`);
-          userMap = await this.slackService.resolveUsers(Array.from(allUserIds));
-          console.log(`Resolved ${userMap.size} user names`);
-        }
-      } catch (userError) {
-        console.warn('Error resolving users (continuing with user IDs):', userError.message);
-        // Continue without user resolution - will use user IDs instead
+      const channels = options.channelId ? [this.getChannelConfig(options.channelId)] : this.channels;
+      if (channels.length === 0) {
+        throw new Error('No Slack channels configured. Set SLACK_CHANNEL_ID or CHANNELS_FILE.');
       }
-      
-      // Step 6: Export to markdown in parallel (with image references)
-      // This always runs, regardless of WordPress configuration or errors
-      this.syncProgress.status = 'exporting-markdown';
-      this.syncProgress.message = `Exporting ${successfulThreads.length} threads to markdown with ${totalImagesDownloaded} images...`;
-      this.syncProgress.step = 6;
-      
-      let markdownExports = [];
-      try {
-        if (successfulThreads.length > 0) {
-          // Map image downloads to threads
-          const threadsWithImages = successfulThreads.map(t => {
-            const imageData = imageDownloadResults.find(r => r.threadTs === t.threadTs);
-            // Create array indexed by message position
-            const imageMap = {};
-            if (imageData && imageData.downloads) {
-              imageData.downloads.forEach((msgDownload, index) => {
-                const message = t.messages.find(m => m.ts === msgDownload.messageTs);
-                if (message) {
-                  const msgIndex = t.messages.indexOf(message);
-                  imageMap[msgIndex] = msgDownload;
-                }
-              });
-            }
-            return {
-              messages: t.messages,
-              threadTs: t.threadTs,
-              imageDownloads: imageMap,
-              userMap: userMap
-            };
-          });
-          
-          markdownExports = await this.markdownExporter.exportThreadsParallel(threadsWithImages);
+
+      for (const channel of channels) {
+        if (options.signal?.aborted) {
+          break;
         }
-        
-        results.markdownExported = markdownExports.filter(e => e.success).length;
-        results.markdownErrors = markdownExports.filter(e => !e.success).length;
-        results.imagesDownloaded = totalImagesDownloaded;
-        this.syncProgress.results.markdownExported = results.markdownExported;
-        this.syncProgress.results.imagesDownloaded = totalImagesDownloaded;
-        
-        console.log(`Markdown export complete: ${results.markdownExported} files exported, ${totalImagesDownloaded} images, ${results.markdownErrors} errors`);
-      } catch (markdownError) {
-        // Markdown export errors don't stop the process
-        console.error('Error during markdown export (continuing anyway):', markdownError);
-        results.markdownErrors = results.markdownErrors || 0;
-        results.markdownErrors += 1;
-        this.syncProgress.message = `Markdown export had errors, but continuing with WordPress sync...`;
-      }
-      
-      // Step 7: Process each thread (WordPress sync)
-      // This runs independently - WordPress errors don't affect markdown files
-      // Markdown files and images are already written, so WordPress errors are non-blocking
-      this.syncProgress.status = 'processing';
-      this.syncProgress.message = `Syncing to WordPress (markdown files and images already saved)...`;
-      
-      for (let i = 0; i < threads.length; i++) {
-        const thread = threads[i];
-        const threadInfo = threadData.find(t => t.threadTs === thread.ts);
-        
-        this.syncProgress.step = 7;
-        this.syncProgress.currentStep = i + 1;
-        this.syncProgress.currentThread = thread.ts;
-        this.syncProgress.message = `WordPress sync: thread ${i + 1} of ${threads.length} (${thread.ts})...`;
-        
+        this.updateProgress({ currentChannel: channel.id });
         try {
-          const result = await this.syncThread(thread.ts);
-          
-          if (result.action === 'created') {
-            results.created.push(result);
-            this.syncProgress.results.created.push(result);
-            this.syncProgress.message = `✓ WordPress: Created ${result.title} (${i + 1}/${threads.length})`;
-          } else if (result.action === 'updated') {
-            results.updated.push(result);
-            this.syncProgress.results.updated.push(result);
-            this.syncProgress.message = `↻ WordPress: Updated ${result.title} (${i + 1}/${threads.length})`;
-          } else if (result.action === 'skipped') {
-            results.skipped.push(result);
-            this.syncProgress.results.skipped.push(result);
-            this.syncProgress.message = `⊘ WordPress: Skipped ${result.title} (${i + 1}/${threads.length})`;
-          }
+          await this.syncChannel(channel, options, results);
         } catch (error) {
-          // WordPress errors don't stop the process - markdown files are already saved
+          // A broken channel must not stop the remaining channels from syncing
+          console.error(`Error syncing channel ${channel.name}:`, error.message);
           const errorResult = {
-            threadTs: thread.ts,
-            error: error.message,
-            note: 'Markdown file was saved successfully'
+            channelId: channel.id,
+            threadTs: null,
+            error: `Channel ${channel.name}: ${error.message}`
           };
           results.errors.push(errorResult);
           this.syncProgress.results.errors.push(errorResult);
-          this.syncProgress.message = `✗ WordPress error for thread ${thread.ts}: ${error.message} (markdown saved) (${i + 1}/${threads.length})`;
-          console.error(`WordPress sync failed for thread ${thread.ts}, but markdown file was saved:`, error.message);
+          this.updateProgress();
+          if (channels.length === 1) {
+            throw error;
+          }
         }
       }
 
       // Step 8: Complete
-      this.syncProgress.status = 'completed';
+      results.cancelled = Boolean(options.signal?.aborted);
       const wpErrors = results.errors.length;
       const markdownCount = results.markdownExported || 0;
       const imageCount = results.imagesDownloaded || 0;
-      this.syncProgress.message = `Complete! ${markdownCount} markdown files, ${imageCount} images saved. WordPress: ${results.created.length} created, ${results.updated.length} updated, ${wpErrors} errors`;
-      this.syncProgress.step = 8;
-      this.syncProgress.currentThread = null;
+      results.retries = this.scheduler.getStats();
+      const retryNote = results.retries.retries > 0 ? ` (${results.retries.retries} Slack requests retried)` : '';
+      const unchangedCount = results.skipped.filter(result => result.reason === 'unchanged').length;
+      const unchangedNote = unchangedCount > 0 ? `, ${unchangedCount} unchanged` : '';
+      const conflictNote = results.conflicts.length > 0 ? `, ${results.conflicts.length} edited in WordPress` : '';
+      const missingNote = results.missing.length > 0 ? `, ${results.missing.length} deleted or trashed in WordPress` : '';
+      this.updateProgress({
+        status: results.cancelled ? 'cancelled' : 'completed',
+        retries: results.retries,
+        message: `${results.cancelled ? 'Cancelled.' : 'Complete!'} ${markdownCount} markdown files, ${imageCount} images saved. WordPress: ${results.created.length} created, ${results.updated.length} updated${unchangedNote}${conflictNote}${missingNote}, ${wpErrors} errors${retryNote}`,
+        step: 8,
+        currentChannel: null,
+        currentThread: null
+      });
       
       // Log summary
-      console.log(`Sync complete: ${markdownCount} markdown files, ${imageCount} images exported, ${results.created.length} WordPress posts created, ${results.updated.length} updated, ${wpErrors} WordPress errors`);
+      console.log(`Sync ${results.cancelled ? 'cancelled' : 'complete'}: ${markdownCount} markdown files, ${imageCount} images exported, ${results.created.length} WordPress posts created, ${results.updated.length} updated, ${results.conflicts.length} conflicts, ${wpErrors} WordPress errors, ${results.retries.retries} Slack retries (${results.retries.rateLimited} rate limited)`);
 
       return results;
     } catch (error) {
       console.error('Error during sync:', error);
-      this.syncProgress.status = 'error';
-      
       // Even if sync fails, markdown files may have been exported
       const markdownCount = results.markdownExported || 0;
-      if (markdownCount > 0) {
-        this.syncProgress.message = `Sync error: ${error.message} (but ${markdownCount} markdown files were saved)`;
-      } else {
-        this.syncProgress.message = `Sync failed: ${error.message}`;
-      }
+      this.updateProgress({
+        status: 'error',
+        retries: this.scheduler.getStats(),
+        message: markdownCount > 0
+          ? `Sync error: ${error.message} (but ${markdownCount} markdown files were saved)`
+          : `Sync failed: ${error.message}`
+      });
       throw error;
     } finally {
-      // Clear progress after a delay
+      // Clear progress after a delay, unless another sync has started since
       setTimeout(() => {
-        this.syncProgress = null;
+        if (this.syncProgress === progress) {
+          this.syncProgress = null;
+          this.events.emit('progress', null);
+        }
       }, 30000); // Clear after 30 seconds
     }
   }
 
+  /**
+   * Sync all threads of one channel, adding to the shared results
+   * @param {Object} channel - Channel config
+   * @param {Object} options - Sync options (oldest, latest, force, signal)
+   * @param {Object} results - Results object shared across channels
+   * @returns {Promise<void>}
+   */
+  async syncChannel(channel, options, results) {
+    // Step 1: Validate channel access
+    this.updateProgress({
+      status: 'validating',
+      message: `Validating access to #${channel.name}...`,
+      step: 1
+    });
+    await this.slackService.validateChannel(channel.id);
+    
+    // Step 2: Get all threads from channel
+    this.updateProgress({
+      status: 'fetching',
+      message: `Fetching threads from #${channel.name}...`,
+      step: 2
+    });
+    const threads = await this.slackService.getChannelThreads(channel.id, {
+      oldest: options.oldest,
+      latest: options.latest
+    });
+    console.log(`Found ${threads.length} threads in channel ${channel.name}`);
+    
+    this.updateProgress({
+      totalSteps: threads.length,
+      currentStep: undefined,
+      message: `Found ${threads.length} threads in #${channel.name}. Processing...`
+    });
+
+    // Steps 3 to 6 can take minutes on a large channel, so a cancelled sync stops between them
+    const isCancelled = (nextStep) => {
+      if (options.signal?.aborted) {
+        console.log(`Sync cancelled before ${nextStep} in ${channel.name}`);
+        return true;
+      }
+      return false;
+    };
+    if (isCancelled('fetching thread messages')) {
+      return;
+    }
+
+    // Step 3: Fetch all thread messages in parallel
+    // The request scheduler limits how many Slack calls actually run at once
+    this.updateProgress({
+      status: 'fetching-threads',
+      message: `Fetching messages for ${threads.length} threads...`,
+      step: 3
+    });
+    
+    const threadDataPromises = threads.map(async (thread) => {
+      try {
+        const messages = await this.slackService.getThreadReplies(channel.id, thread.ts);
+        return { threadTs: thread.ts, messages, success: true };
+      } catch (error) {
+        return { threadTs: thread.ts, messages: null, success: false, error: error.message };
+      }
+    });
+    
+    const threadData = await Promise.all(threadDataPromises);
+    if (isCancelled('downloading images')) {
+      return;
+    }
+    
+    // Step 4: Download images in parallel (most important!)
+    this.updateProgress({
+      status: 'downloading-images',
+      message: `Downloading images from ${threadData.filter(t => t.success).length} threads...`,
+      step: 4
+    });
+    
+    const successfulThreads = threadData.filter(t => t.success);
+    let imageDownloadResults = [];
+    let totalImagesDownloaded = 0;
+    
+    try {
+      const imageDownloadPromises = successfulThreads.map(async ({ messages, threadTs }) => {
+        try {
+          const downloads = await this.imageDownloader.downloadThreadImages(messages, threadTs, { signal: options.signal });
+          const imageCount = downloads.reduce((sum, msg) => sum + (msg.images?.filter(i => i.success).length || 0), 0);
+          totalImagesDownloaded += imageCount;
+          if (imageCount > 0) {
+            this.syncProgress.results.imagesDownloaded = results.imagesDownloaded + totalImagesDownloaded;
+            this.updateProgress();
+          }
+          return { threadTs, downloads, success: true, imageCount };
+        } catch (error) {
+          console.error(`Error downloading images for thread ${threadTs}:`, error);
+          return { threadTs, downloads: [], success: false, error: error.message };
+        }
+      });
+      
+      imageDownloadResults = await Promise.all(imageDownloadPromises);
+      console.log(`Image download complete: ${totalImagesDownloaded} images downloaded`);
+    } catch (imageError) {
+      console.error('Error during image download (continuing anyway):', imageError);
+    }
+    results.imagesDownloaded += totalImagesDownloaded;
+    this.syncProgress.results.imagesDownloaded = results.imagesDownloaded;
+    this.updateProgress();
+    if (isCancelled('resolving users')) {
+      return;
+    }
+    
+    // Step 5: Resolve authors and mentioned users, channels and usergroups to names
+    this.updateProgress({
+      status: 'resolving-users',
+      message: `Resolving user names...`,
+      step: 5
+    });
+    
+    let userMap = new Map();
+    let mentionContext = null;
+    try {
+      const allMessages = successfulThreads.flatMap(({ messages }) => messages);
+      if (allMessages.length > 0) {
+        mentionContext = await this.buildRenderContext(allMessages);
+        userMap = mentionContext.users;
+        console.log(`Resolved ${userMap.size} user names, ${mentionContext.channels.size} channels, ${mentionContext.usergroups.size} usergroups, ${mentionContext.customEmoji.size} custom emoji`);
+      }
+    } catch (userError) {
+      console.warn('Error resolving users (continuing with user IDs):', userError.message);
+      // Continue without user resolution - will use user IDs instead
+    }
+    if (isCancelled('exporting markdown')) {
+      return;
+    }
+    
+    // Step 6: Export to markdown in parallel (with image references)
+    // This always runs, regardless of WordPress configuration or errors
+    this.updateProgress({
+      status: 'exporting-markdown',
+      message: `Exporting ${successfulThreads.length} threads to markdown with ${totalImagesDownloaded} images...`,
+      step: 6
+    });
+    
+    let markdownExports = [];
+    try {
+      if (successfulThreads.length > 0) {
+        // Map image downloads to threads
+        const threadsWithImages = successfulThreads.map(t => {
+          const imageData = imageDownloadResults.find(r => r.threadTs === t.threadTs);
+          // Create array indexed by message position
+          const imageMap = {};
+          if (imageData && imageData.downloads) {
+            imageData.downloads.forEach((msgDownload, index) => {
+              const message = t.messages.find(m => m.ts === msgDownload.messageTs);
+              if (message) {
+                const msgIndex = t.messages.indexOf(message);
+                imageMap[msgIndex] = msgDownload;
+              }
+            });
+          }
+          return {
+            messages: t.messages,
+            threadTs: t.threadTs,
+            imageDownloads: imageMap,
+            userMap: userMap,
+            mentionContext: { ...mentionContext, anonymize: channel.anonymizeMentions }
+          };
+        });
+        
+        markdownExports = await this.getMarkdownExporter(channel).exportThreadsParallel(threadsWithImages);
+      }
+      
+      const markdownExported = markdownExports.filter(e => e.success).length;
+      const markdownErrors = markdownExports.filter(e => !e.success).length;
+      results.markdownExported += markdownExported;
+      results.markdownErrors += markdownErrors;
+      this.syncProgress.results.markdownExported = results.markdownExported;
+      this.updateProgress();
+      
+      console.log(`Markdown export complete for ${channel.name}: ${markdownExported} files exported, ${totalImagesDownloaded} images, ${markdownErrors} errors`);
+    } catch (markdownError) {
+      // Markdown export errors don't stop the process
+      console.error('Error during markdown export (continuing anyway):', markdownError);
+      results.markdownErrors = results.markdownErrors || 0;
+      results.markdownErrors += 1;
+      this.updateProgress({ message: `Markdown export had errors, but continuing with WordPress sync...` });
+    }
+    
+    // Step 7: Process each thread (WordPress sync)
+    // This runs independently - WordPress errors don't affect markdown files
+    // Markdown files and images are already written, so WordPress errors are non-blocking
+    this.updateProgress({
+      status: 'processing',
+      message: `Syncing to WordPress (markdown files and images already saved)...`
+    });
+    
+    for (let i = 0; i < threads.length; i++) {
+      if (options.signal?.aborted) {
+        console.log(`Sync cancelled after ${i} of ${threads.length} threads in ${channel.name}`);
+        return;
+      }
+
+      const thread = threads[i];
+      const threadInfo = threadData.find(t => t.threadTs === thread.ts);
+      
+      this.updateProgress({
+        step: 7,
+        currentStep: i + 1,
+        currentThread: thread.ts,
+        message: `WordPress sync: #${channel.name} thread ${i + 1} of ${threads.length} (${thread.ts})...`
+      });
+      
+      try {
+        const result = await this.syncThread(thread.ts, channel.id, { force: options.force });
+        const position = `(${i + 1}/${threads.length})`;
+        let message = null;
+        
+        if (result.action === 'created') {
+          results.created.push(result);
+          this.syncProgress.results.created.push(result);
+          message = `✓ WordPress: Created ${result.title} ${position}`;
+        } else if (result.action === 'updated') {
+          results.updated.push(result);
+          this.syncProgress.results.updated.push(result);
+          message = `↻ WordPress: Updated ${result.title} ${position}`;
+        } else if (result.action === 'skipped') {
+          results.skipped.push(result);
+          this.syncProgress.results.skipped.push(result);
+          if (result.reason === 'unchanged') {
+            message = `⊘ WordPress: ${result.title} unchanged ${position}`;
+          } else if (result.reason === 'retired') {
+            message = `⊘ WordPress: ${result.title} was removed in WordPress, not synced ${position}`;
+          } else {
+            message = `⊘ WordPress: Skipped ${result.title} ${position}`;
+          }
+        } else if (result.action === 'revision') {
+          message = `⚠ WordPress: Saved a revision of ${result.title} ${position}`;
+        }
+
+        if (result.conflict) {
+          results.conflicts.push(result);
+          this.syncProgress.results.conflicts.push(result);
+        }
+        if (result.missingPost) {
+          results.missing.push(result);
+          this.syncProgress.results.missing.push(result);
+        }
+        this.updateProgress(message ? { message } : {});
+        this.events.emit('thread', { jobId: this.syncProgress.jobId, ...result });
+      } catch (error) {
+        // WordPress errors don't stop the process - markdown files are already saved
+        const errorResult = {
+          channelId: channel.id,
+          threadTs: thread.ts,
+          error: error.message,
+          note: 'Markdown file was saved successfully'
+        };
+        results.errors.push(errorResult);
+        this.syncProgress.results.errors.push(errorResult);
+        this.updateProgress({ message: `✗ WordPress error for thread ${thread.ts}: ${error.message} (markdown saved) (${i + 1}/${threads.length})` });
+        this.events.emit('thread', { jobId: this.syncProgress.jobId, action: 'error', ...errorResult });
+        console.error(`WordPress sync failed for thread ${thread.ts}, but markdown file was saved:`, error.message);
+      }
+    }
+  }
+
   /**
    * Sync a specific thread to WordPress
    * @param {string} threadTs - Thread timestamp
+   * @param {string} channelId - Slack channel ID (defaults to the first configured channel)
+   * @param {Object} options - Per-thread overrides
+   * @param {string} options.status - Post status to set (draft, pending, private, publish or future)
+   * @param {string} options.date - Publish date (ISO 8601); a future date schedules the post
+   * @param {string} options.conflictPolicy - What to do if the post was edited in WordPress (skip, overwrite or revision)
+   * @param {boolean} options.force - Re-send the thread even if it hasn't changed since the last sync
+   * @param {string} options.missingPostPolicy - What to do if the post was deleted or trashed in WordPress
+   *   (retire, recreate or restore); also brings a retired thread back
    * @returns {Promise<Object>} Sync result
    */
-  async syncThread(threadTs) {
+  async syncThread(threadTs, channelId = null, options = {}) {
+    // Syncs of the same thread run one after another, so two of them can't both create a post
+    const lockKey = this.stateManager.getMappingKey(this.getChannelConfig(channelId).id, threadTs);
+    const run = (this.threadLocks.get(lockKey) || Promise.resolve())
+      .catch(() => {})
+      .then(() => this.syncThreadNow(threadTs, channelId, options));
+    this.threadLocks.set(lockKey, run);
     try {
+      return await run;
+    } finally {
+      if (this.threadLocks.get(lockKey) === run) {
+        this.threadLocks.delete(lockKey);
+      }
+    }
+  }
+
+  /**
+   * Sync a specific thread to WordPress without waiting for other syncs of it (see syncThread)
+   * @param {string} threadTs - Thread timestamp
+   * @param {string} channelId - Slack channel ID (defaults to the first configured channel)
+   * @param {Object} options - Per-thread overrides, as for syncThread
+   * @returns {Promise<Object>} Sync result
+   */
+  async syncThreadNow(threadTs, channelId = null, options = {}) {
+    try {
+      const channel = this.getChannelConfig(channelId);
+      const statusOverride = options.status || options.date ? this.parseStatusOverride(options) : null;
+      const conflictPolicy = options.conflictPolicy
+        ? this.validateConflictPolicy(options.conflictPolicy)
+        : this.conflictPolicy;
+      const missingPostPolicy = options.missingPostPolicy
+        ? this.validateMissingPostPolicy(options.missingPostPolicy)
+        : this.missingPostPolicy;
+
       // Get thread messages
-      const messages = await this.slackService.getThreadReplies(this.channelId, threadTs);
+      const messages = await this.slackService.getThreadReplies(channel.id, threadTs);
       
+      // Detect threads cut off by the configured reply cap
+      const truncation = this.slackService.getTruncationInfo(messages);
+      if (truncation) {
+        console.log(`Thread ${threadTs} truncated: ${truncation.includedReplies} of ${truncation.totalReplies} replies included`);
+      }
+
+      // Check if thread is already mapped
+      const mapping = this.stateManager.getMapping(channel.id, threadTs);
+      const existingPostId = mapping?.postId || null;
+
+      // Threads whose post was removed in WordPress stay out of syncs until a policy is requested for them
+      if (mapping?.retired && !options.missingPostPolicy) {
+        return {
+          action: 'skipped',
+          reason: 'retired',
+          channelId: channel.id,
+          threadTs,
+          postId: existingPostId,
+          title: mapping.title
+        };
+      }
+
+      // Nothing to send if the thread and the rendering options are unchanged since the last sync
+      const fingerprint = this.getThreadFingerprint(channel, messages);
+      if (existingPostId && !options.force && !statusOverride && !mapping.retired && mapping.fingerprint === fingerprint) {
+        console.log(`Thread ${threadTs} unchanged since the last sync, skipping`);
+        return {
+          action: 'skipped',
+          reason: 'unchanged',
+          channelId: channel.id,
+          threadTs,
+          postId: existingPostId,
+          title: mapping.title
+        };
+      }
+
+      // Set when a step falls back, so the thread is not fingerprinted and the next sync retries it
+      let degraded = false;
+
+      // Resolve mentions and custom emoji (cached, so this is cheap after syncAll's step 5)
+      let mentionContext = {};
+      try {
+        mentionContext = await this.buildRenderContext(messages);
+      } catch (error) {
+        degraded = true;
+        console.warn(`Error resolving mentions for thread ${threadTs} (continuing with raw mentions):`, error.message);
+      }
+
+      // Thread starter becomes the post author; reply authors are contributors
+      let authors = { author: null, contributors: [] };
+      try {
+        authors = await this.authorMapper.getThreadAuthors(messages);
+        degraded = degraded || authors.incomplete;
+      } catch (error) {
+        degraded = true;
+        console.warn(`Error mapping authors for thread ${threadTs} (using the default WordPress user):`, error.message);
+      }
+
+      // Upload images to the media library (files are cached on disk after syncAll's step 4)
+      let media = { images: new Map(), uploaded: 0 };
+      if (this.uploadImages) {
+        try {
+          const imageDownloads = await this.imageDownloader.downloadThreadImages(messages, threadTs);
+          media = await this.mediaUploader.uploadThreadImages(imageDownloads);
+          degraded = degraded || media.failed > 0;
+        } catch (error) {
+          degraded = true;
+          console.warn(`Error uploading images for thread ${threadTs} (continuing without images):`, error.message);
+        }
+      }
+      const firstImage = messages.map(msg => media.images.get(msg.ts)?.[0]).find(Boolean);
+
+      // Tags from #hashtags, categories from the channel and the category rules
+      // (only those the post type uses; custom post types often have neither)
+      const postType = await this.wordpressService.getPostType();
+      const usesCategories = postType.taxonomies.includes('category');
+      let terms = { categories: channel.category && usesCategories ? [channel.category] : [], tags: [] };
+      let termsComplete = true;
+      try {
+        terms = await this.taxonomyService.getThreadTerms(messages, channel, postType);
+        termsComplete = terms.unresolved === 0;
+      } catch (error) {
+        termsComplete = false;
+        console.warn(`Error resolving categories and tags for thread ${threadTs} (using the channel category):`, error.message);
+      }
+      degraded = degraded || !termsComplete;
+
+      const publishing = this.resolvePostStatus(channel, messages, threadTs, statusOverride);
+      if (publishing?.trigger === 'reaction') {
+        console.log(`Thread ${threadTs} has the :${channel.publishReaction}: reaction, publishing the post`);
+      }
+
       // Format as post
-      const postData = this.slackService.formatThreadAsPost(messages);
+      const postData = {
+        ...this.slackService.formatThreadAsPost(messages, {
+          ...mentionContext,
+          images: media.images,
+          anonymize: channel.anonymizeMentions,
+          postFormat: channel.postFormat
+        }),
+        status: publishing?.status,
+        date: publishing?.date,
+        categories: terms.categories,
+        tags: terms.tags,
+        author: authors.author,
+        featuredMedia: firstImage ? firstImage.mediaId : null,
+        slackThread: await this.getSlackThreadMeta(channel, threadTs, messages)
+      };
 
       // Generate LLM prompt
       const llmPrompt = this.slackService.generateLLMPrompt(messages);
 
-      // Check if thread is already mapped
-      const existingPostId = this.stateManager.getPostId(threadTs);
-
       let result;
+      let wpPost;
+      let currentPost = null;
+      let missingPost = null;
       if (existingPostId) {
-        // Update existing post
-        const wpPost = await this.wordpressService.updatePost(existingPostId, postData);
-        await this.stateManager.setMapping(threadTs, wpPost.id, wpPost.title, llmPrompt);
+        // Deleted or trashed posts can't simply be updated
+        currentPost = await this.fetchMappedPost(existingPostId);
+        if (!currentPost || currentPost.status === 'trash') {
+          missingPost = await this.resolveMissingPost(channel, threadTs, existingPostId, currentPost, missingPostPolicy);
+          if (missingPost.resolution === 'retired') {
+            return {
+              action: 'skipped',
+              reason: 'retired',
+              channelId: channel.id,
+              threadTs,
+              postId: existingPostId,
+              title: mapping.title,
+              missingPost
+            };
+          }
+          if (missingPost.resolution === 'restored') {
+            // Moves the post out of the trash, back to the status it had before it was trashed
+            const retiredStatus = mapping.retired?.postId === existingPostId ? mapping.retired.status : null;
+            postData.status = postData.status || retiredStatus || currentPost.preTrashStatus || channel.status;
+          }
+        }
+      }
+
+      if (existingPostId && missingPost?.resolution !== 'recreated') {
+        // Never silently overwrite edits made in the WordPress admin
+        const editedPost = missingPost ? null : this.detectManualEdit(channel, threadTs, currentPost);
+        let conflict = null;
+        if (editedPost) {
+          conflict = await this.resolveConflict(editedPost, postData, conflictPolicy);
+          console.warn(`Post ${existingPostId} (thread ${threadTs}) was edited in WordPress since the last sync: ${conflict.resolution}`);
+          if (conflict.resolution !== 'overwritten') {
+            return {
+              action: conflict.resolution === 'revision' ? 'revision' : 'skipped',
+              channelId: channel.id,
+              threadTs,
+              postId: editedPost.id,
+              title: editedPost.title,
+              link: editedPost.link,
+              status: editedPost.status,
+              conflict
+            };
+          }
+        }
+
+        // Update existing post; this replaces its terms, so an incomplete list would remove the
+        // terms that failed to resolve, and the post keeps its current terms instead
+        if (!termsComplete) {
+          delete postData.categories;
+          delete postData.tags;
+        }
+        wpPost = await this.wordpressService.updatePost(existingPostId, postData);
         
         result = {
           action: 'updated',
+          channelId: channel.id,
           threadTs,
           postId: wpPost.id,
           title: wpPost.title,
-          link: wpPost.link
+          link: wpPost.link,
+          status: wpPost.status,
+          author: authors.author,
+          contributors: authors.contributors,
+          categories: terms.categories,
+          tags: terms.tags,
+          imagesUploaded: media.uploaded,
+          ...(conflict && { conflict }),
+          ...(missingPost && { missingPost })
         };
       } else {
-        // Create new post
-        const wpPost = await this.wordpressService.createPost(postData);
-        await this.stateManager.setMapping(threadTs, wpPost.id, wpPost.title, llmPrompt);
+        // Create new post (or a replacement for one deleted in WordPress)
+        if (missingPost) {
+          postData.status = postData.status || channel.status;
+        }
+        wpPost = await this.wordpressService.createPost(postData);
         
         result = {
           action: 'created',
+          channelId: channel.id,
           threadTs,
           postId: wpPost.id,
           title: wpPost.title,
-          link: wpPost.link
+          link: wpPost.link,
+          status: wpPost.status,
+          author: authors.author,
+          contributors: authors.contributors,
+          categories: terms.categories,
+          tags: terms.tags,
+          imagesUploaded: media.uploaded,
+          ...(missingPost && { missingPost })
         };
       }
 
+      // Remember what was written in one state write, so the next sync can tell edits made in
+      // WordPress apart and a crash can't leave the mapping half updated
+      await this.stateManager.saveSyncResult(channel.id, threadTs, {
+        postId: wpPost.id,
+        title: wpPost.title,
+        action: result.action,
+        llmPrompt,
+        changes: {
+          contentHash: this.hashPostContent(wpPost.raw),
+          modifiedGmt: wpPost.modifiedGmt,
+          fingerprint: degraded ? undefined : fingerprint,
+          ...(mapping?.retired && { retired: undefined }),
+          // As WordPress stored it: "publish" with a future date comes back as "future"
+          status: wpPost.status
+        }
+      });
+
+      if (truncation) {
+        result.truncated = truncation;
+      }
+
+      if (channel.postLinkReply) {
+        await this.postLinkReply(channel, threadTs, postData.plainTitle, wpPost);
+      }
+
       console.log(`Thread ${threadTs} ${result.action}: ${result.title}`);
       return result;
     } catch (error) {
@@ -341,18 +953,326 @@ class SyncService {
     }
   }
 
+  /**
+   * Describe a thread for the post meta
+   * @param {Object} channel - Channel config
+   * @param {string} threadTs - Thread timestamp
+   * @param {Array} messages - Thread messages
+   * @returns {Promise<Object>} { channelId, threadTs, permalink, participantCount, replyCount }
+   */
+  async getSlackThreadMeta(channel, threadTs, messages) {
+    let permalink = null;
+    try {
+      permalink = await this.slackService.getPermalink(channel.id, threadTs);
+    } catch (error) {
+      console.warn(`Could not get the Slack permalink of thread ${threadTs} (continuing without it):`, error.message);
+    }
+
+    return {
+      channelId: channel.id,
+      threadTs,
+      permalink,
+      participantCount: new Set(messages.map(msg => msg.user || msg.bot_id).filter(Boolean)).size,
+      replyCount: messages[0].reply_count ?? messages.length - 1 // Includes replies beyond the maxThreadReplies cap
+    };
+  }
+
+  /**
+   * Fingerprint everything that shapes a thread's post
+   * Covers the messages (text, edits, files, reactions), the reply count and the options
+   * used to render the post, including the author mapping. An unchanged fingerprint means
+   * the post is up to date.
+   * @param {Object} channel - Channel config
+   * @param {Array} messages - Thread messages
+   * @returns {string} SHA-256 hex digest
+   */
+  getThreadFingerprint(channel, messages) {
+    const data = {
+      version: FINGERPRINT_VERSION,
+      messages: messages.map(msg => ({
+        ts: msg.ts,
+        user: msg.user,
+        text: msg.text,
+        edited: msg.edited?.ts || null,
+        files: (msg.files || []).map(file => file.id),
+        reactions: (msg.reactions || []).map(reaction => `${reaction.name}:${(reaction.users || []).join(',')}`)
+      })),
+      replyCount: messages[0]?.reply_count ?? null, // Replies beyond the maxThreadReplies cap
+      options: {
+        channel,
+        maxThreadReplies: this.slackService.maxThreadReplies,
+        uploadImages: this.uploadImages,
+        hashtagTags: this.taxonomyService.hashtagTags,
+        categoryRules: this.taxonomyService.categoryRules,
+        authorOverrides: this.authorMapper.overrides,
+        defaultAuthor: this.authorMapper.defaultAuthor,
+        matchAuthorsByEmail: this.authorMapper.matchByEmail
+      }
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+  }
+
+  /**
+   * Validate a conflict policy
+   * @param {string} policy - skip, overwrite or revision
+   * @returns {string} The policy
+   */
+  validateConflictPolicy(policy) {
+    if (!CONFLICT_POLICIES.includes(policy)) {
+      throw new Error(`Invalid conflict policy "${policy}". Use one of: ${CONFLICT_POLICIES.join(', ')}`);
+    }
+    return policy;
+  }
+
+  /**
+   * Hash a post's raw title and content
+   * @param {Object} raw - { title, content } as stored by WordPress
+   * @returns {string} SHA-256 hex digest
+   */
+  hashPostContent(raw) {
+    return crypto.createHash('sha256').update(`${raw.title}\n${raw.content}`).digest('hex');
+  }
+
+  /**
+   * Check whether a post was edited outside the app since the last sync
+   * Edits are detected by a changed modified date and a changed title or content; status-only
+   * changes (e.g. an editor publishing the post) are not conflicts.
+   * @param {Object} channel - Channel config
+   * @param {string} threadTs - Thread timestamp
+   * @param {Object} post - Current post (from getPost)
+   * @returns {Object|null} The post if it was edited, or null if unchanged
+   */
+  detectManualEdit(channel, threadTs, post) {
+    const version = this.stateManager.getPostVersion(channel.id, threadTs);
+    if (!version) {
+      // Synced before edit detection existed: nothing to compare against yet
+      return null;
+    }
+
+    if (post.modifiedGmt === version.modifiedGmt || this.hashPostContent(post.raw) === version.contentHash) {
+      return null;
+    }
+    return post;
+  }
+
+  /**
+   * Validate a missing post policy
+   * @param {string} policy - retire, recreate or restore
+   * @returns {string} The policy
+   */
+  validateMissingPostPolicy(policy) {
+    if (!MISSING_POST_POLICIES.includes(policy)) {
+      throw new Error(`Invalid missing post policy "${policy}". Use one of: ${MISSING_POST_POLICIES.join(', ')}`);
+    }
+    return policy;
+  }
+
+  /**
+   * Fetch the post a thread is mapped to
+   * @param {number} postId - WordPress post ID
+   * @returns {Promise<Object|null>} Post (from getPost), or null if it was deleted permanently
+   */
+  async fetchMappedPost(postId) {
+    try {
+      return await this.wordpressService.getPost(postId);
+    } catch (error) {
+      if (error.code === 'post_not_found') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Apply the missing post policy to a post that was deleted or trashed in WordPress
+   * "restore" can only bring back trashed posts; deleted posts are recreated instead.
+   * @param {Object} channel - Channel config
+   * @param {string} threadTs - Thread timestamp
+   * @param {number} postId - WordPress post ID of the mapping
+   * @param {Object|null} post - Trashed post, or null if deleted
+   * @param {string} policy - retire, recreate or restore
+   * @returns {Promise<Object>} { postId, state, policy, resolution }
+   */
+  async resolveMissingPost(channel, threadTs, postId, post, policy) {
+    const state = post ? 'trashed' : 'deleted';
+    let resolution = 'recreated';
+    if (policy === 'retire') {
+      resolution = 'retired';
+      await this.stateManager.setRetired(channel.id, threadTs, { postId, state, status: post?.preTrashStatus || null });
+    } else if (policy === 'restore' && post) {
+      resolution = 'restored';
+    }
+
+    console.warn(`Post ${postId} (thread ${threadTs}) was ${state} in WordPress: ${resolution}`);
+    return { postId, state, policy, resolution };
+  }
+
+  /**
+   * Apply the conflict policy to a post that was edited in WordPress
+   * @param {Object} editedPost - Post from getPost
+   * @param {Object} postData - Post data synced from Slack
+   * @param {string} policy - skip, overwrite or revision
+   * @returns {Promise<Object>} Conflict details ({ modifiedGmt, policy, resolution, note })
+   */
+  async resolveConflict(editedPost, postData, policy) {
+    const conflict = { modifiedGmt: editedPost.modifiedGmt, policy, resolution: 'skipped' };
+
+    if (policy === 'overwrite') {
+      conflict.resolution = 'overwritten';
+    } else if (policy === 'revision') {
+      // WordPress writes an autosave straight into a draft owned by the same user
+      const ownDraft = editedPost.status === 'draft' &&
+        editedPost.author === await this.wordpressService.getCurrentUserId();
+      if (ownDraft) {
+        conflict.note = 'Drafts owned by the WordPress user the app signs in as cannot get a separate revision';
+      } else {
+        const revision = await this.wordpressService.createAutosave(editedPost.id, postData);
+        conflict.resolution = 'revision';
+        conflict.revisionId = revision.id;
+      }
+    }
+
+    return conflict;
+  }
+
+  /**
+   * Validate a per-thread status override
+   * @param {Object} options - { status, date } from the API
+   * @returns {Object} { status, date } with the date as an ISO string (or null)
+   */
+  parseStatusOverride({ status, date }) {
+    if (status && !POST_STATUSES.includes(status)) {
+      throw new Error(`Invalid post status "${status}". Use one of: ${POST_STATUSES.join(', ')}`);
+    }
+    if (date && isNaN(Date.parse(date))) {
+      throw new Error(`Invalid publish date "${date}". Use an ISO 8601 date such as 2026-11-01T09:00:00Z`);
+    }
+    if (status === 'future' && !date) {
+      throw new Error('Scheduling a post (status "future") needs a publish date');
+    }
+    return {
+      // A date alone schedules the post: WordPress turns "publish" with a future date into "future"
+      status: status || 'publish',
+      date: date ? new Date(date).toISOString() : null
+    };
+  }
+
+  /**
+   * Decide which status to send to WordPress for a thread's post
+   * New posts get the channel's status. Existing posts keep their status (so changes made in
+   * WordPress stick) unless the sync overrides it or the publish reaction is added.
+   * @param {Object} channel - Channel config
+   * @param {Array} messages - Thread messages (thread starter first)
+   * @param {string} threadTs - Thread timestamp
+   * @param {Object|null} statusOverride - Result of parseStatusOverride
+   * @returns {Object|null} { status, date, trigger } or null to leave the status unchanged
+   */
+  resolvePostStatus(channel, messages, threadTs, statusOverride) {
+    if (statusOverride) {
+      return { ...statusOverride, trigger: 'override' };
+    }
+
+    const lastStatus = this.stateManager.getPostStatus(channel.id, threadTs);
+    if (this.hasPublishReaction(channel, messages[0]) && !['publish', 'future'].includes(lastStatus)) {
+      return { status: 'publish', date: null, trigger: 'reaction' };
+    }
+
+    if (!this.stateManager.getPostId(channel.id, threadTs)) {
+      return { status: channel.status, date: null, trigger: 'channel' };
+    }
+    return null;
+  }
+
+  /**
+   * Check whether the thread starter carries the channel's publish reaction
+   * @param {Object} channel - Channel config
+   * @param {Object} message - Thread starter
+   * @returns {boolean} True if an allowed user added the publish reaction
+   */
+  hasPublishReaction(channel, message) {
+    if (!channel.publishReaction || !message) {
+      return false;
+    }
+    return (message.reactions || []).some(reaction =>
+      reaction.name.split('::')[0] === channel.publishReaction &&
+      (channel.publishReactionUsers.length === 0 ||
+        (reaction.users || []).some(user => channel.publishReactionUsers.includes(user)))
+    );
+  }
+
+  /**
+   * Reply in the Slack thread with the post's title, status and link
+   * The first sync posts a reply; later syncs edit that same reply.
+   * Failures are logged but never fail the sync.
+   * @param {Object} channel - Channel config
+   * @param {string} threadTs - Thread timestamp
+   * @param {string} title - Plain-text post title
+   * @param {Object} wpPost - WordPress post ({ id, link, status })
+   * @returns {Promise<void>}
+   */
+  async postLinkReply(channel, threadTs, title, wpPost) {
+    const statusLabels = {
+      publish: 'Published',
+      draft: 'Draft',
+      pending: 'Pending review',
+      private: 'Private',
+      future: 'Scheduled'
+    };
+    const status = statusLabels[wpPost.status] || wpPost.status || 'Draft';
+    const safeTitle = (title || `Post ${wpPost.id}`).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const text = `:memo: WordPress post (${status}): <${wpPost.link}|${safeTitle}>`;
+
+    try {
+      const replyTs = this.stateManager.getSlackReplyTs(channel.id, threadTs);
+      if (replyTs) {
+        try {
+          await this.slackService.updateMessage(channel.id, replyTs, text);
+          return;
+        } catch (error) {
+          if (error.data?.error !== 'message_not_found') {
+            throw error;
+          }
+          // The reply was deleted in Slack, so post a new one
+        }
+      }
+
+      const newReplyTs = await this.slackService.postThreadReply(channel.id, threadTs, text);
+      await this.stateManager.setSlackReplyTs(channel.id, threadTs, newReplyTs);
+    } catch (error) {
+      console.warn(`Could not post the WordPress link to thread ${threadTs} (needs the chat:write scope):`, error.message);
+    }
+  }
+
   /**
    * Get current sync status
-   * @returns {Object} Status information
+   * @returns {Object} Status information, with mappings grouped by channel
    */
   getStatus() {
-    const mappings = this.stateManager.getAllMappings();
+    const mappings = Object.values(this.stateManager.getAllMappings());
+    const channels = this.channels.map(channel => ({
+      id: channel.id,
+      name: channel.name,
+      mappings: mappings.filter(m => m.channelId === channel.id)
+    }));
+
+    // Keep mappings for channels that were removed from the config visible
+    const knownIds = new Set(this.channels.map(ch => ch.id));
+    mappings.forEach(mapping => {
+      if (knownIds.has(mapping.channelId)) {
+        return;
+      }
+      let group = channels.find(ch => ch.id === mapping.channelId);
+      if (!group) {
+        group = { id: mapping.channelId, name: mapping.channelId, mappings: [], unconfigured: true };
+        channels.push(group);
+      }
+      group.mappings.push(mapping);
+    });
+
     return {
-      totalMappings: Object.keys(mappings).length,
-      mappings: Object.entries(mappings).map(([threadTs, data]) => ({
-        threadTs,
-        ...data
-      }))
+      totalMappings: mappings.length,
+      mappings,
+      channels
     };
   }
 
@@ -366,12 +1286,13 @@ class SyncService {
       slackChannel: false,
       wordpress: false,
       errors: {},
-      availableChannels: []
+      availableChannels: [],
+      channels: []
     };
 
     try {
       // Test Slack authentication
-      await this.slackService.client.auth.test();
+      await this.scheduler.schedule(() => this.slackService.client.auth.test(), 'auth.test');
       results.slack = true;
       
       // List available channels
@@ -381,13 +1302,23 @@ class SyncService {
         console.error('Error listing channels:', error.message);
       }
       
-      // Test channel access
-      try {
-        await this.slackService.validateChannel(this.channelId);
-        results.slackChannel = true;
-      } catch (error) {
-        results.errors.slackChannel = error.message;
-        console.error('Slack channel validation failed:', error.message);
+      // Test access to every configured channel
+      const channelErrors = [];
+      for (const channel of this.channels) {
+        try {
+          await this.slackService.validateChannel(channel.id);
+          results.channels.push({ id: channel.id, name: channel.name, accessible: true });
+        } catch (error) {
+          results.channels.push({ id: channel.id, name: channel.name, accessible: false, error: error.message });
+          channelErrors.push(`${channel.name}: ${error.message}`);
+          console.error(`Slack channel validation failed for ${channel.name}:`, error.message);
+        }
+      }
+      results.slackChannel = this.channels.length > 0 && channelErrors.length === 0;
+      if (this.channels.length === 0) {
+        results.errors.slackChannel = 'No Slack channels configured. Set SLACK_CHANNEL_ID or CHANNELS_FILE.';
+      } else if (channelErrors.length > 0) {
+        results.errors.slackChannel = channelErrors.join('\n');
       }
     } catch (error) {
       results.errors.slack = error.message;
@@ -416,6 +1347,9 @@ class SyncService {
             `Required roles: Administrator, Editor, or Author. ` +
             `Please update the user role in WordPress Admin → Users.`;
         }
+        if (wpTest.warnings?.length > 0) {
+          results.errors.wordpress = [results.errors.wordpress, ...wpTest.warnings].filter(Boolean).join('\n');
+        }
       }
     } catch (error) {
       results.wordpress = false;
@@ -430,19 +1364,23 @@ class SyncService {
   /**
    * Get LLM prompt for a specific thread
    * @param {string} threadTs - Thread timestamp
+   * @param {string} channelId - Slack channel ID (defaults to the first configured channel)
    * @returns {Promise<Object>} LLM prompt data
    */
-  async getLLMPrompt(threadTs) {
+  async getLLMPrompt(threadTs, channelId = null) {
     try {
       // Validate threadTs parameter
       if (!threadTs || typeof threadTs !== 'string') {
         throw new Error('Invalid thread timestamp');
       }
 
+      const channel = this.getChannelConfig(channelId);
+
       // Check if we have a cached prompt
-      const cachedPrompt = this.stateManager.getLLMPrompt(threadTs);
+      const cachedPrompt = this.stateManager.getLLMPrompt(channel.id, threadTs);
       if (cachedPrompt) {
         return {
+          channelId: channel.id,
           threadTs,
           prompt: cachedPrompt,
           cached: true
@@ -450,15 +1388,16 @@ class SyncService {
       }
 
       // Generate new prompt from thread
-      const messages = await this.slackService.getThreadReplies(this.channelId, threadTs);
+      const messages = await this.slackService.getThreadReplies(channel.id, threadTs);
       const prompt = this.slackService.generateLLMPrompt(messages);
       
       // Cache it if thread is mapped
-      if (this.stateManager.isMapped(threadTs)) {
-        await this.stateManager.setLLMPrompt(threadTs, prompt);
+      if (this.stateManager.isMapped(channel.id, threadTs)) {
+        await this.stateManager.setLLMPrompt(channel.id, threadTs, prompt);
       }
 
       return {
+        channelId: channel.id,
         threadTs,
         prompt,
         cached: false
@@ -468,6 +1407,96 @@ class SyncService {
       throw error;
     }
   }
+
+  /**
+   * Rebuild thread-to-post mappings from the Slack meta stored on WordPress posts
+   * Restores mappings missing from state (e.g. after state.json was lost) and reports
+   * mappings whose post is gone and synced posts that no mapping points to.
+   * @param {Object} options - Reconcile options
+   * @param {boolean} options.dryRun - Report only, don't change the state
+   * @returns {Promise<Object>} Reconcile report
+   */
+  async reconcile(options = {}) {
+    const { posts, metaRegistered } = await this.wordpressService.getAllPosts();
+    if (!metaRegistered && posts.length > 0) {
+      throw new Error(
+        'WordPress does not expose the Slack post meta (slack_channel_id, slack_thread_ts). ' +
+        'Install wordpress/slack2wordpress-meta.php as a plugin and sync again.'
+      );
+    }
+
+    const postsById = new Map(posts.map(post => [post.id, post]));
+    const syncedPosts = posts.filter(post => post.slackThread && post.status !== 'trash');
+    const report = {
+      dryRun: Boolean(options.dryRun),
+      postsScanned: posts.length,
+      syncedPosts: syncedPosts.length,
+      matched: 0,
+      restored: [],
+      orphaned: [],
+      unmapped: []
+    };
+
+    // Restore missing mappings (the oldest post wins if a thread was published twice)
+    const restoredKeys = new Set();
+    const sortedPosts = [...syncedPosts].sort((a, b) => a.id - b.id);
+    for (const post of sortedPosts) {
+      const { channelId, threadTs } = post.slackThread;
+      const key = this.stateManager.getMappingKey(channelId, threadTs);
+      const mapping = this.stateManager.getMapping(channelId, threadTs);
+      const mappedPost = mapping ? postsById.get(mapping.postId) : null;
+      if (restoredKeys.has(key) || (mappedPost && mappedPost.status !== 'trash')) {
+        if (mappedPost?.id === post.id) {
+          report.matched++;
+        }
+        continue;
+      }
+
+      restoredKeys.add(key);
+      report.restored.push({ channelId, threadTs, postId: post.id, title: post.title, link: post.link });
+      if (!options.dryRun) {
+        await this.stateManager.setMapping(channelId, threadTs, post.id, post.title, null, {
+          status: post.status,
+          // The stored version and fingerprint describe the old post, so the next sync must not trust them
+          ...(mapping && mapping.postId !== post.id && {
+            contentHash: undefined,
+            modifiedGmt: undefined,
+            fingerprint: undefined
+          }),
+          ...(mapping?.retired && post.status !== 'trash' && { retired: undefined })
+        });
+      }
+    }
+
+    // Mappings whose post was deleted or trashed
+    Object.entries(this.stateManager.getAllMappings()).forEach(([key, mapping]) => {
+      if (restoredKeys.has(key)) {
+        return;
+      }
+      const post = postsById.get(mapping.postId);
+      if (!post || post.status === 'trash') {
+        report.orphaned.push({
+          channelId: mapping.channelId,
+          threadTs: mapping.threadTs,
+          postId: mapping.postId,
+          title: mapping.title,
+          reason: post ? 'trashed' : 'deleted'
+        });
+      }
+    });
+
+    // Synced posts no mapping points to (usually duplicates created after state was lost)
+    const mappedPostIds = new Set(Object.values(this.stateManager.getAllMappings()).map(mapping => mapping.postId));
+    report.restored.forEach(item => mappedPostIds.add(item.postId));
+    syncedPosts.forEach(post => {
+      if (!mappedPostIds.has(post.id)) {
+        report.unmapped.push({ postId: post.id, title: post.title, link: post.link, status: post.status, ...post.slackThread });
+      }
+    });
+
+    console.log(`Reconcile${report.dryRun ? ' (dry run)' : ''}: ${report.syncedPosts} synced posts, ${report.matched} matched, ${report.restored.length} restored, ${report.orphaned.length} orphaned mappings, ${report.unmapped.length} unmapped posts`);
+    return report;
+  }
 }
 
 module.exports = SyncService;
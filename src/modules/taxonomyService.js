@@ -0,0 +1,142 @@
+/**
+ * Assigns WordPress tags and categories to synced threads
+ *
+ * #hashtags in the thread become tags. Category rules match keywords in the thread
+ * text, the Slack channel or emoji reactions. Terms that don't exist yet are created.
+ *
+ * Rules (TAXONOMY_RULES_FILE):
+ *   { "categoryRules": [
+ *       { "category": "Release Notes", "keywords": ["release", "changelog"] },
+ *       { "category": "Design", "channels": ["C0987654321"] },
+ *       { "category": 12, "reactions": ["star"] } ] }
+ * A category is a WordPress category ID or name; a rule matches if any of its conditions match.
+ */
+class TaxonomyService {
+  constructor(wordpressService, formatter, options = {}) {
+    this.wordpressService = wordpressService;
+    this.formatter = formatter;
+    this.hashtagTags = options.hashtagTags !== false;
+    this.categoryRules = options.categoryRules || [];
+    this.termCache = new Map(); // "taxonomy:name" -> Promise<term ID or null>
+  }
+
+  /**
+   * Collect #hashtags from all messages of a thread
+   * @param {Array} messages - Thread messages
+   * @returns {Array<string>} Unique hashtags (first spelling wins)
+   */
+  extractHashtags(messages) {
+    const tags = new Map(); // lowercase -> first spelling
+    messages.forEach(msg => {
+      this.formatter.collectHashtags(this.formatter.parseMessage(msg)).forEach(tag => {
+        if (!tags.has(tag.toLowerCase())) {
+          tags.set(tag.toLowerCase(), tag);
+        }
+      });
+    });
+    return Array.from(tags.values());
+  }
+
+  /**
+   * Find the categories whose rules match a thread
+   * @param {Array} messages - Thread messages
+   * @param {string} channelId - Slack channel ID
+   * @returns {Array<number|string>} Category IDs or names
+   */
+  matchCategoryRules(messages, channelId) {
+    const text = messages.map(msg => msg.text || '').join('\n');
+    const reactions = new Set();
+    messages.forEach(msg => {
+      (msg.reactions || []).forEach(reaction => reactions.add(reaction.name.split('::')[0]));
+    });
+
+    return this.categoryRules
+      .filter(rule =>
+        (rule.channels || []).includes(channelId) ||
+        (rule.reactions || []).some(name => reactions.has(name.replace(/^:|:$/g, ''))) ||
+        (rule.keywords || []).some(keyword => this.containsKeyword(text, keyword))
+      )
+      .map(rule => rule.category);
+  }
+
+  /**
+   * Check whether text contains a keyword as a whole word (case-insensitive)
+   * @param {string} text - Text to search
+   * @param {string} keyword - Keyword or phrase
+   * @returns {boolean} True if found
+   */
+  containsKeyword(text, keyword) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu').test(text);
+  }
+
+  /**
+   * Resolve a tag or category reference to its ID, creating the term if needed
+   * @param {string} taxonomy - 'tags' or 'categories'
+   * @param {number|string} ref - Term ID or name
+   * @returns {Promise<number|null>} Term ID, or null if it could not be resolved
+   */
+  resolveTerm(taxonomy, ref) {
+    if (typeof ref === 'number' || /^\d+$/.test(String(ref))) {
+      return Promise.resolve(Number(ref));
+    }
+
+    const name = String(ref).trim();
+    const key = `${taxonomy}:${name.toLowerCase()}`;
+    if (!this.termCache.has(key)) {
+      this.termCache.set(key, (async () => {
+        try {
+          const existing = await this.wordpressService.findTerm(taxonomy, name);
+          if (existing) {
+            return existing.id;
+          }
+          const created = await this.wordpressService.createTerm(taxonomy, name);
+          console.log(`Created WordPress ${taxonomy === 'tags' ? 'tag' : 'category'} "${name}" (ID ${created.id})`);
+          return created.id;
+        } catch (error) {
+          console.warn(`Could not resolve WordPress ${taxonomy} "${name}":`, error.message);
+          this.termCache.delete(key); // Retry on the next sync
+          return null;
+        }
+      })());
+    }
+    return this.termCache.get(key);
+  }
+
+  /**
+   * Resolve the tags and categories of a thread
+   * @param {Array} messages - Thread messages
+   * @param {Object} channel - Channel config (its `category` is always included)
+   * @param {Object} postType - Post type from WordPressService.getPostType; categories and tags
+   *   are left out (with a warning) if the post type doesn't use the category or post_tag taxonomy
+   * @returns {Promise<Object>} { categories: [IDs], tags: [IDs], unresolved } - unresolved counts
+   *   terms left out because they could not be found or created
+   */
+  async getThreadTerms(messages, channel, postType = null) {
+    let categoryRefs = [
+      ...(channel.category ? [channel.category] : []),
+      ...this.matchCategoryRules(messages, channel.id)
+    ];
+    let tagNames = this.hashtagTags ? this.extractHashtags(messages) : [];
+
+    if (postType && categoryRefs.length > 0 && !postType.taxonomies.includes('category')) {
+      console.warn(`WordPress post type "${postType.slug}" doesn't use categories, leaving out: ${categoryRefs.join(', ')}`);
+      categoryRefs = [];
+    }
+    if (postType && tagNames.length > 0 && !postType.taxonomies.includes('post_tag')) {
+      console.warn(`WordPress post type "${postType.slug}" doesn't use tags, leaving out: ${tagNames.join(', ')}`);
+      tagNames = [];
+    }
+
+    const categories = await Promise.all(categoryRefs.map(ref => this.resolveTerm('categories', ref)));
+    const tags = await Promise.all(tagNames.map(name => this.resolveTerm('tags', name)));
+
+    return {
+      categories: [...new Set(categories.filter(id => id))],
+      tags: [...new Set(tags.filter(id => id))],
+      unresolved: [...categories, ...tags].filter(id => !id).length
+    };
+  }
+}
+
+module.exports = TaxonomyService;
@@ -1,4 +1,14 @@
 const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Post meta describing a post's Slack thread (registered by wordpress/slack2wordpress-meta.php)
+const META_CHANNEL_ID = 'slack_channel_id';
+const META_THREAD_TS = 'slack_thread_ts';
+const META_PERMALINK = 'slack_permalink';
+const META_PARTICIPANT_COUNT = 'slack_participant_count';
+const META_REPLY_COUNT = 'slack_reply_count';
+const SLACK_META_KEYS = [META_CHANNEL_ID, META_THREAD_TS, META_PERMALINK, META_PARTICIPANT_COUNT, META_REPLY_COUNT];
 
 /**
  * WordPress REST API Service
@@ -10,13 +20,23 @@ const axios = require('axios');
  * developers can test WordPress API interactions independently.
  */
 class WordPressService {
-  constructor(url, username, password) {
+  /**
+   * @param {string} url - WordPress site URL
+   * @param {string} username - WordPress username
+   * @param {string} password - Application password
+   * @param {Object} options - Optional settings
+   * @param {string} options.postType - Post type to sync threads to (default 'post'), e.g. a custom 'kb_article'
+   */
+  constructor(url, username, password, options = {}) {
     this.url = url.replace(/\/$/, ''); // Remove trailing slash
     this.auth = {
       username,
       password
     };
     this.apiBase = `${this.url}/wp-json/wp/v2`;
+    this.postType = options.postType || 'post';
+    this.postTypeInfo = null; // Promise of the post type's REST details, see getPostType
+    this.metaWarningShown = false;
     
     // Log auth setup for debugging (without exposing password)
     console.log(`WordPress service initialized for: ${this.url}`);
@@ -92,6 +112,18 @@ class WordPressService {
           `Please check your WordPress user role and permissions. ` +
           `Required roles: Administrator, Editor, or Author`
         );
+      } else if (status === 404 && data?.code === 'rest_post_invalid_id') {
+        // The post is gone (deleted permanently), not the API
+        const notFound = new Error(
+          `WordPress post not found (404). It was probably deleted permanently in WordPress.`
+        );
+        notFound.code = 'post_not_found';
+        return notFound;
+      } else if (status === 404 && data?.code === 'rest_no_route') {
+        return new Error(
+          `WordPress REST route not found (404). ` +
+          `The post type "${this.postType}" may have been unregistered or removed from the REST API (show_in_rest).`
+        );
       } else if (status === 404) {
         return new Error(
           `WordPress endpoint not found (404). ` +
@@ -208,17 +240,25 @@ class WordPressService {
 
   /**
    * Create a new WordPress post
-   * @param {Object} postData - Post data with title and content
+   * @param {Object} postData - Post data with title and content, optional status, date, categories
+   *   and slackThread ({ channelId, threadTs }, stored in post meta)
    * @returns {Promise<Object>} Created post data
    */
   async createPost(postData) {
     try {
+      const { endpoint } = await this.getPostType();
       const response = await axios.post(
-        `${this.apiBase}/posts`,
+        endpoint,
         {
           title: postData.title,
           content: postData.content,
-          status: 'draft' // Create as draft by default
+          status: postData.status || 'draft', // Create as draft by default
+          ...(postData.date && { date_gmt: this.formatDateGmt(postData.date) }),
+          ...(postData.categories?.length && { categories: postData.categories }),
+          ...(postData.tags?.length && { tags: postData.tags }),
+          ...(postData.author && { author: postData.author }),
+          ...(postData.featuredMedia && { featured_media: postData.featuredMedia }),
+          ...(postData.slackThread && { meta: this.buildSlackMeta(postData.slackThread) })
         },
         {
           auth: this.auth,
@@ -232,7 +272,9 @@ class WordPressService {
         id: response.data.id,
         title: response.data.title.rendered,
         link: response.data.link,
-        status: response.data.status
+        status: response.data.status,
+        modifiedGmt: response.data.modified_gmt,
+        raw: this.getRawContent(response.data)
       };
     } catch (error) {
       console.error('Error creating WordPress post:', error.response?.data || error.message);
@@ -243,16 +285,26 @@ class WordPressService {
   /**
    * Update an existing WordPress post
    * @param {number} postId - WordPress post ID
-   * @param {Object} postData - Post data with title and content
+   * @param {Object} postData - Post data with title and content, optional status (sent only to change it), date,
+   *   author and slackThread ({ channelId, threadTs }, stored in post meta). categories and tags replace the
+   *   post's terms (an empty list removes them all) if the post type uses them; leave them out to keep the terms.
    * @returns {Promise<Object>} Updated post data
    */
   async updatePost(postId, postData) {
     try {
+      const { endpoint, taxonomies } = await this.getPostType();
       const response = await axios.put(
-        `${this.apiBase}/posts/${postId}`,
+        `${endpoint}/${postId}`,
         {
           title: postData.title,
-          content: postData.content
+          content: postData.content,
+          ...(postData.status && { status: postData.status }),
+          ...(postData.date && { date_gmt: this.formatDateGmt(postData.date) }),
+          ...(postData.categories && taxonomies.includes('category') && { categories: postData.categories }),
+          ...(postData.tags && taxonomies.includes('post_tag') && { tags: postData.tags }),
+          ...(postData.author && { author: postData.author }),
+          ...(postData.featuredMedia && { featured_media: postData.featuredMedia }),
+          ...(postData.slackThread && { meta: this.buildSlackMeta(postData.slackThread) })
         },
         {
           auth: this.auth,
@@ -266,7 +318,9 @@ class WordPressService {
         id: response.data.id,
         title: response.data.title.rendered,
         link: response.data.link,
-        status: response.data.status
+        status: response.data.status,
+        modifiedGmt: response.data.modified_gmt,
+        raw: this.getRawContent(response.data)
       };
     } catch (error) {
       console.error('Error updating WordPress post:', error.response?.data || error.message);
@@ -276,24 +330,44 @@ class WordPressService {
 
   /**
    * Get a WordPress post by ID
+   * Warns once if the post type doesn't expose the Slack meta (see describeMissingMeta).
    * @param {number} postId - WordPress post ID
-   * @returns {Promise<Object>} Post data
+   * @returns {Promise<Object>} Post data, including slackThread (or null) and the missingMeta keys
    */
   async getPost(postId) {
     try {
+      const postType = await this.getPostType();
       const response = await axios.get(
-        `${this.apiBase}/posts/${postId}`,
+        `${postType.endpoint}/${postId}`,
         {
-          auth: this.auth
+          auth: this.auth,
+          params: {
+            context: 'edit' // Raw title and content, as stored
+          }
         }
       );
 
+      const meta = response.data.meta;
+      const missingMeta = SLACK_META_KEYS.filter(key => !meta || !(key in meta));
+      if (missingMeta.length > 0 && !this.metaWarningShown) {
+        this.metaWarningShown = true;
+        console.warn(this.describeMissingMeta(postType, { supportsCustomFields: Boolean(meta), missingMeta }));
+      }
+
       return {
         id: response.data.id,
         title: response.data.title.rendered,
         content: response.data.content.rendered,
         link: response.data.link,
-        status: response.data.status
+        status: response.data.status,
+        author: response.data.author,
+        preTrashStatus: response.data.pre_trash_status || null, // Needs the slack2wordpress-meta.php plugin
+        modifiedGmt: response.data.modified_gmt,
+        raw: this.getRawContent(response.data),
+        slackThread: meta?.[META_THREAD_TS]
+          ? { channelId: meta[META_CHANNEL_ID], threadTs: meta[META_THREAD_TS] }
+          : null,
+        missingMeta
       };
     } catch (error) {
       console.error('Error fetching WordPress post:', error.response?.data || error.message);
@@ -301,6 +375,401 @@ class WordPressService {
     }
   }
 
+  /**
+   * Look up the configured post type and its REST endpoint (cached)
+   * @returns {Promise<Object>} { slug, name, restBase, endpoint, taxonomies }
+   */
+  getPostType() {
+    if (!this.postTypeInfo) {
+      this.postTypeInfo = this.fetchPostType().catch(error => {
+        this.postTypeInfo = null; // Retry on the next call
+        throw error;
+      });
+    }
+    return this.postTypeInfo;
+  }
+
+  /**
+   * Fetch the configured post type from the REST API
+   * @returns {Promise<Object>} { slug, name, restBase, endpoint, taxonomies }
+   */
+  async fetchPostType() {
+    try {
+      const response = await axios.get(
+        `${this.apiBase}/types/${encodeURIComponent(this.postType)}`,
+        {
+          auth: this.auth
+        }
+      );
+
+      const type = response.data;
+      const restBase = type.rest_base || this.postType;
+      return {
+        slug: type.slug,
+        name: type.name,
+        restBase,
+        endpoint: `${this.url}/wp-json/${type.rest_namespace || 'wp/v2'}/${restBase}`,
+        taxonomies: type.taxonomies || []
+      };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new Error(
+          `WordPress post type "${this.postType}" not found. ` +
+          `Check WORDPRESS_POST_TYPE, and make sure the post type is registered with 'show_in_rest' => true ` +
+          `so the REST API can use it.`
+        );
+      }
+      console.error('Error fetching WordPress post type:', error.response?.data || error.message);
+      throw this.formatWordPressError(error, 'read post types');
+    }
+  }
+
+  /**
+   * Check which Slack meta keys the post type exposes in the REST API (from its schema)
+   * @returns {Promise<Object>} { supportsCustomFields, missingMeta: [meta keys] }
+   */
+  async checkSlackMeta() {
+    const postType = await this.getPostType();
+    try {
+      const response = await axios.options(postType.endpoint, {
+        auth: this.auth
+      });
+
+      // Post types without custom-fields support have no meta field at all
+      const meta = response.data?.schema?.properties?.meta;
+      const registered = Object.keys(meta?.properties || {});
+      return {
+        supportsCustomFields: Boolean(meta),
+        missingMeta: SLACK_META_KEYS.filter(key => !registered.includes(key))
+      };
+    } catch (error) {
+      console.error('Error reading the WordPress post schema:', error.response?.data || error.message);
+      throw this.formatWordPressError(error, `read the ${postType.slug} schema`);
+    }
+  }
+
+  /**
+   * Explain which Slack meta is missing and how to fix it
+   * @param {Object} postType - Result of getPostType
+   * @param {Object} metaCheck - { supportsCustomFields, missingMeta }
+   * @returns {string|null} Explanation, or null if nothing is missing
+   */
+  describeMissingMeta(postType, metaCheck) {
+    if (metaCheck.missingMeta.length === 0) {
+      return null;
+    }
+    if (!metaCheck.supportsCustomFields) {
+      return `WordPress post type "${postType.slug}" doesn't support custom fields, so the Slack thread meta ` +
+        `(${SLACK_META_KEYS.join(', ')}) can't be stored. Add 'custom-fields' to the "supports" of the post type.`;
+    }
+    return `WordPress doesn't expose the Slack thread meta ${metaCheck.missingMeta.join(', ')} for "${postType.slug}". ` +
+      `Install or update the wordpress/slack2wordpress-meta.php plugin. Posts sync without it, ` +
+      `but the state can't be rebuilt from WordPress.`;
+  }
+
+  /**
+   * Build the post meta that describes a post's Slack thread
+   * @param {Object} slackThread - { channelId, threadTs, permalink, participantCount, replyCount }
+   * @returns {Object} Post meta
+   */
+  buildSlackMeta(slackThread) {
+    return {
+      [META_CHANNEL_ID]: slackThread.channelId,
+      [META_THREAD_TS]: slackThread.threadTs,
+      ...(slackThread.permalink && { [META_PERMALINK]: slackThread.permalink }),
+      ...(slackThread.participantCount !== undefined && { [META_PARTICIPANT_COUNT]: slackThread.participantCount }),
+      ...(slackThread.replyCount !== undefined && { [META_REPLY_COUNT]: slackThread.replyCount })
+    };
+  }
+
+  /**
+   * List all posts (any status, including trash) with the Slack thread they belong to
+   * @returns {Promise<Object>} { posts: [{ id, title, link, status, slackThread }], metaRegistered }
+   *   - slackThread is null for posts without Slack meta; metaRegistered is false when WordPress
+   *   doesn't expose the meta (the meta plugin isn't installed)
+   */
+  async getAllPosts() {
+    try {
+      const posts = [];
+      let metaRegistered = false;
+      let page = 1;
+      let totalPages = 1;
+
+      const { endpoint } = await this.getPostType();
+      do {
+        const response = await axios.get(
+          endpoint,
+          {
+            auth: this.auth,
+            params: {
+              context: 'edit',
+              status: 'publish,future,draft,pending,private,trash',
+              per_page: 100,
+              page,
+              _fields: 'id,title,link,status,meta'
+            }
+          }
+        );
+
+        response.data.forEach(post => {
+          const meta = post.meta || {};
+          metaRegistered = metaRegistered || META_THREAD_TS in meta;
+          posts.push({
+            id: post.id,
+            title: post.title?.raw ?? post.title?.rendered ?? '',
+            link: post.link,
+            status: post.status,
+            slackThread: meta[META_THREAD_TS]
+              ? { channelId: meta[META_CHANNEL_ID], threadTs: meta[META_THREAD_TS] }
+              : null
+          });
+        });
+        totalPages = parseInt(response.headers['x-wp-totalpages'], 10) || 1;
+        page++;
+      } while (page <= totalPages);
+
+      return { posts, metaRegistered };
+    } catch (error) {
+      console.error('Error listing WordPress posts:', error.response?.data || error.message);
+      throw this.formatWordPressError(error, 'list posts');
+    }
+  }
+
+  /**
+   * Get the raw (unrendered) title and content of a post response
+   * Requests made with edit rights return them; fall back to the rendered versions otherwise.
+   * @param {Object} post - Post from the REST API
+   * @returns {Object} { title, content }
+   */
+  getRawContent(post) {
+    return {
+      title: post.title?.raw ?? post.title?.rendered ?? '',
+      content: post.content?.raw ?? post.content?.rendered ?? ''
+    };
+  }
+
+  /**
+   * Save title and content as an autosave revision without changing the post
+   * Editors can compare it with the current version and restore it from the post's revisions.
+   * Note: for a draft owned by the authenticated user, WordPress updates the draft itself instead.
+   * @param {number} postId - WordPress post ID
+   * @param {Object} postData - Post data with title and content
+   * @returns {Promise<Object>} Created revision ({ id })
+   */
+  async createAutosave(postId, postData) {
+    try {
+      const { endpoint } = await this.getPostType();
+      const response = await axios.post(
+        `${endpoint}/${postId}/autosaves`,
+        {
+          title: postData.title,
+          content: postData.content
+        },
+        {
+          auth: this.auth,
+          headers: {
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      return { id: response.data.id };
+    } catch (error) {
+      console.error('Error saving WordPress revision:', error.response?.data || error.message);
+      throw this.formatWordPressError(error, 'save revisions');
+    }
+  }
+
+  /**
+   * Get the ID of the WordPress user the app signs in as (cached)
+   * @returns {Promise<number>} WordPress user ID
+   */
+  async getCurrentUserId() {
+    if (!this.currentUserId) {
+      const result = await this.testAuthentication();
+      if (!result.authenticated) {
+        throw new Error(result.error);
+      }
+      this.currentUserId = result.user.id;
+    }
+    return this.currentUserId;
+  }
+
+  /**
+   * Find a tag or category by name (case-insensitive, also matches the slug)
+   * @param {string} taxonomy - REST base of the taxonomy: 'tags' or 'categories'
+   * @param {string} name - Term name
+   * @returns {Promise<Object|null>} Term ({ id, name, slug }) or null if it doesn't exist
+   */
+  async findTerm(taxonomy, name) {
+    try {
+      const response = await axios.get(
+        `${this.apiBase}/${taxonomy}`,
+        {
+          auth: this.auth,
+          params: {
+            search: name,
+            per_page: 100
+          }
+        }
+      );
+
+      const needle = name.toLowerCase();
+      const term = response.data.find(t =>
+        this.decodeEntities(t.name).toLowerCase() === needle || t.slug === needle
+      );
+      return term ? { id: term.id, name: this.decodeEntities(term.name), slug: term.slug } : null;
+    } catch (error) {
+      console.error(`Error searching WordPress ${taxonomy}:`, error.response?.data || error.message);
+      throw this.formatWordPressError(error, `read ${taxonomy}`);
+    }
+  }
+
+  /**
+   * Create a tag or category
+   * @param {string} taxonomy - REST base of the taxonomy: 'tags' or 'categories'
+   * @param {string} name - Term name
+   * @returns {Promise<Object>} Created (or already existing) term ({ id, name })
+   */
+  async createTerm(taxonomy, name) {
+    try {
+      const response = await axios.post(
+        `${this.apiBase}/${taxonomy}`,
+        { name },
+        {
+          auth: this.auth,
+          headers: {
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+      return { id: response.data.id, name: this.decodeEntities(response.data.name) };
+    } catch (error) {
+      // Created in the meantime, or the search missed it (e.g. accents in the slug)
+      if (error.response?.data?.code === 'term_exists') {
+        return { id: error.response.data.data.term_id, name };
+      }
+      console.error(`Error creating WordPress ${taxonomy}:`, error.response?.data || error.message);
+      throw this.formatWordPressError(error, `create ${taxonomy}`);
+    }
+  }
+
+  /**
+   * Format a date for the REST API's date_gmt field (UTC, without a timezone suffix)
+   * @param {string|Date} date - Date to format
+   * @returns {string} Date as YYYY-MM-DDTHH:MM:SS
+   */
+  formatDateGmt(date) {
+    return new Date(date).toISOString().slice(0, 19);
+  }
+
+  /**
+   * Decode the HTML entities WordPress uses in term names (e.g. "Q&amp;A")
+   * @param {string} text - Text from the REST API
+   * @returns {string} Decoded text
+   */
+  decodeEntities(text) {
+    return String(text || '')
+      .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+      .replace(/&quot;/g, '"')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Upload a file to the WordPress media library
+   * @param {string} filePath - Local file path
+   * @param {Object} options - Upload options
+   * @param {string} options.mimetype - File MIME type
+   * @param {string} options.altText - Alt text for images (optional)
+   * @returns {Promise<Object>} Media item ({ id, url })
+   */
+  async uploadMedia(filePath, options = {}) {
+    try {
+      const data = await fs.readFile(filePath);
+      const filename = path.basename(filePath);
+
+      const response = await axios.post(
+        `${this.apiBase}/media`,
+        data,
+        {
+          auth: this.auth,
+          headers: {
+            'Content-Type': options.mimetype || 'application/octet-stream',
+            'Content-Disposition': `attachment; filename="${filename.replace(/"/g, '')}"`
+          },
+          maxBodyLength: Infinity,
+          maxContentLength: Infinity
+        }
+      );
+
+      // Alt text can't be sent with the binary upload, so it is set in a second request
+      if (options.altText) {
+        await axios.post(
+          `${this.apiBase}/media/${response.data.id}`,
+          { alt_text: options.altText },
+          {
+            auth: this.auth,
+            headers: {
+              'Content-Type': 'application/json'
+            }
+          }
+        );
+      }
+
+      return {
+        id: response.data.id,
+        url: response.data.source_url
+      };
+    } catch (error) {
+      console.error('Error uploading WordPress media:', error.response?.data || error.message);
+      throw this.formatWordPressError(error, 'upload media');
+    }
+  }
+
+  /**
+   * List all WordPress users, including email addresses
+   * Requires a user allowed to list users (context=edit), usually an Administrator.
+   * @returns {Promise<Array>} Users as { id, name, username, slug, email }
+   */
+  async getUsers() {
+    try {
+      const users = [];
+      let page = 1;
+      let totalPages = 1;
+
+      do {
+        const response = await axios.get(
+          `${this.apiBase}/users`,
+          {
+            auth: this.auth,
+            params: {
+              context: 'edit',
+              per_page: 100,
+              page
+            }
+          }
+        );
+
+        users.push(...response.data.map(user => ({
+          id: user.id,
+          name: user.name,
+          username: user.username,
+          slug: user.slug,
+          email: user.email
+        })));
+        totalPages = parseInt(response.headers['x-wp-totalpages'], 10) || 1;
+        page++;
+      } while (page <= totalPages);
+
+      return users;
+    } catch (error) {
+      console.error('Error listing WordPress users:', error.response?.data || error.message);
+      throw this.formatWordPressError(error, 'list users');
+    }
+  }
+
   /**
    * Test WordPress connection
    * @returns {Promise<Object>} Connection status with role info
@@ -326,11 +795,26 @@ class WordPressService {
       const roleInfo = await this.checkUserRole();
       
       console.log(`WordPress user role check: ${roleInfo.username}, roles: ${roleInfo.roles?.join(', ') || 'none'}, can create posts: ${roleInfo.canCreatePosts}`);
+
+      // Posts go to the configured post type, which needs the Slack meta to rebuild state
+      const postType = await this.getPostType();
+      const metaCheck = await this.checkSlackMeta();
+      const metaProblem = this.describeMissingMeta(postType, metaCheck);
+      if (metaProblem) {
+        console.warn(metaProblem);
+      }
       
       return {
         connected: true,
         authenticated: true,
-        ...roleInfo
+        ...roleInfo,
+        postType: {
+          slug: postType.slug,
+          name: postType.name,
+          restBase: postType.restBase,
+          ...metaCheck
+        },
+        warnings: metaProblem ? [metaProblem] : []
       };
     } catch (error) {
       console.error('WordPress connection test failed:', error.message);
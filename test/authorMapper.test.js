@@ -0,0 +1,75 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const AuthorMapper = require('../src/modules/authorMapper');
+
+const slackService = {
+  getUserEmail: async (slackUserId) => `${slackUserId.toLowerCase()}@example.com`
+};
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+test('a failed user listing is retried on the next lookup', async () => {
+  let calls = 0;
+  const wordpressService = {
+    getUsers: async () => {
+      calls++;
+      if (calls === 1) {
+        throw new Error('socket hang up');
+      }
+      return [{ id: 7, username: 'ada', slug: 'ada', email: 'u1@example.com' }];
+    }
+  };
+  const mapper = new AuthorMapper(slackService, wordpressService);
+  const messages = [{ ts: '1.000001', user: 'U1' }];
+
+  const first = await mapper.getThreadAuthors(messages);
+  assert.strictEqual(first.author, null);
+  assert.strictEqual(first.incomplete, true);
+
+  const second = await mapper.getThreadAuthors(messages);
+  assert.strictEqual(second.author, 7);
+  assert.strictEqual(second.incomplete, false);
+  assert.strictEqual(calls, 2);
+});
+
+test('overrides by user ID still apply while users cannot be listed', async () => {
+  const wordpressService = {
+    getUsers: async () => {
+      throw new Error('rest_forbidden');
+    }
+  };
+  const mapper = new AuthorMapper(slackService, wordpressService, { overrides: { U1: 5 } });
+
+  const authors = await mapper.getThreadAuthors([
+    { ts: '1.000001', user: 'U1' },
+    { ts: '1.000002', user: 'U2' }
+  ]);
+  assert.strictEqual(authors.author, 5);
+  assert.deepStrictEqual(authors.contributors, [{ slackUserId: 'U2', wordpressUserId: null }]);
+  assert.strictEqual(authors.incomplete, true);
+});
+
+test('concurrent lookups share one user listing', async () => {
+  let calls = 0;
+  const wordpressService = {
+    getUsers: async () => {
+      calls++;
+      return [
+        { id: 7, username: 'ada', slug: 'ada', email: 'u1@example.com' },
+        { id: 8, username: 'grace', slug: 'grace', email: 'u2@example.com' }
+      ];
+    }
+  };
+  const mapper = new AuthorMapper(slackService, wordpressService);
+
+  const authors = await mapper.getThreadAuthors([
+    { ts: '1.000001', user: 'U1' },
+    { ts: '1.000002', user: 'U2' }
+  ]);
+  assert.strictEqual(authors.author, 7);
+  assert.deepStrictEqual(authors.contributors, [{ slackUserId: 'U2', wordpressUserId: 8 }]);
+  assert.strictEqual(calls, 1);
+});
@@ -0,0 +1,76 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EmojiService = require('../src/modules/emojiService');
+
+let dir;
+let emoji;
+let listCalls;
+let downloads;
+let emojiService;
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'slack2wordpress-test-'));
+  emoji = { party: 'https://emoji.slack-edge.com/T1/party/1.png' };
+  listCalls = 0;
+  downloads = [];
+
+  const slackClient = {
+    emoji: {
+      list: async () => {
+        listCalls++;
+        return { emoji: { ...emoji } };
+      }
+    }
+  };
+  // Writes one file per URL, like ImageDownloader.downloadEmoji
+  const imageDownloader = {
+    downloadEmoji: async (name, url) => {
+      downloads.push(url);
+      const filePath = path.join(dir, `${name}-${downloads.length}.png`);
+      fs.writeFileSync(filePath, url);
+      return { success: true, path: filePath };
+    }
+  };
+  emojiService = new EmojiService(slackClient, imageDownloader, path.join(dir, 'emoji-cache.json'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the emoji list in memory is fetched again once it is older than the cache TTL', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-01-01T00:00:00Z') });
+
+  await emojiService.getCustomEmojiList();
+  await emojiService.getCustomEmojiList();
+  assert.strictEqual(listCalls, 1);
+
+  emoji.wave = 'https://emoji.slack-edge.com/T1/wave/1.png';
+  t.mock.timers.tick(25 * 60 * 60 * 1000);
+  const list = await emojiService.getCustomEmojiList();
+  assert.strictEqual(listCalls, 2);
+  assert.ok(list.wave);
+});
+
+test('an emoji whose image was replaced in Slack is downloaded again', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-01-01T00:00:00Z') });
+
+  const first = await emojiService.getCustomEmojiImages(['party']);
+  const again = await emojiService.getCustomEmojiImages(['party']);
+  assert.strictEqual(again.get('party'), first.get('party'));
+  assert.strictEqual(downloads.length, 1);
+
+  emoji.party = 'https://emoji.slack-edge.com/T1/party/2.png';
+  t.mock.timers.tick(25 * 60 * 60 * 1000);
+  const replaced = await emojiService.getCustomEmojiImages(['party']);
+  assert.deepStrictEqual(downloads, [
+    'https://emoji.slack-edge.com/T1/party/1.png',
+    'https://emoji.slack-edge.com/T1/party/2.png'
+  ]);
+  assert.notStrictEqual(replaced.get('party').dataUri, first.get('party').dataUri);
+});
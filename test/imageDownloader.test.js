@@ -0,0 +1,108 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const ImageDownloader = require('../src/modules/imageDownloader');
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), Buffer.alloc(4096, 1)]);
+
+let dir;
+let server;
+let url;
+let respond;
+
+beforeEach(async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'slack2wordpress-test-'));
+  server = http.createServer((req, res) => respond(req, res));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/image.png`;
+});
+
+afterEach(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Download the test image as a Slack file
+ * @param {Object} options - downloadImage options (signal)
+ */
+function download(options = {}) {
+  const downloader = new ImageDownloader(null, dir, 'xoxb-test');
+  const image = { id: 'F1', name: 'image.png', mimetype: 'image/png', url_private: url };
+  return downloader.downloadImage(image, '1.000001', '1.000001', 0, options);
+}
+
+/**
+ * List the files downloaded for the test thread
+ */
+function threadFiles() {
+  const threadDir = path.join(dir, 'images', '1-000001');
+  return fs.existsSync(threadDir) ? fs.readdirSync(threadDir) : [];
+}
+
+test('a complete download is saved under its final name', async () => {
+  respond = (req, res) => {
+    res.writeHead(200, { 'content-type': 'image/png' });
+    res.end(PNG);
+  };
+
+  const result = await download();
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.cached, false);
+  assert.deepStrictEqual(threadFiles(), ['1-000001-0-image.png']);
+  assert.strictEqual(fs.statSync(result.path).size, PNG.length);
+});
+
+test('an aborted download leaves no file behind and is downloaded again next time', async () => {
+  const controller = new AbortController();
+  respond = (req, res) => {
+    res.writeHead(200, { 'content-type': 'image/png' });
+    res.write(PNG.subarray(0, 1024));
+    setTimeout(() => controller.abort(), 20); // Abort halfway through the body
+  };
+
+  const aborted = await download({ signal: controller.signal });
+  assert.strictEqual(aborted.success, false);
+  assert.deepStrictEqual(threadFiles(), []);
+
+  respond = (req, res) => {
+    res.writeHead(200, { 'content-type': 'image/png' });
+    res.end(PNG);
+  };
+  const retried = await download();
+  assert.strictEqual(retried.success, true);
+  assert.strictEqual(retried.cached, false);
+  assert.strictEqual(fs.statSync(retried.path).size, PNG.length);
+});
+
+test('a connection dropped halfway leaves no file behind', async () => {
+  respond = (req, res) => {
+    res.writeHead(200, { 'content-type': 'image/png', 'content-length': PNG.length });
+    res.write(PNG.subarray(0, 1024));
+    setTimeout(() => res.destroy(), 20);
+  };
+
+  const result = await download();
+  assert.strictEqual(result.success, false);
+  assert.deepStrictEqual(threadFiles(), []);
+});
+
+test('an HTML error page is rejected without leaving a file', async () => {
+  respond = (req, res) => {
+    res.writeHead(200, { 'content-type': 'image/png' });
+    res.end('<!DOCTYPE html><html><body>Unauthorized</body></html>');
+  };
+
+  const result = await download();
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /HTML error page/);
+  assert.deepStrictEqual(threadFiles(), []);
+});
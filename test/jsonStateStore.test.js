@@ -0,0 +1,116 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonStateStore = require('../src/modules/jsonStateStore');
+
+let dir;
+let stateFile;
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'slack2wordpress-test-'));
+  stateFile = path.join(dir, 'state.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Write a state file with one mapping
+ * @param {string} file - File to write
+ * @param {number} postId - Post ID of the mapping
+ */
+function writeState(file, postId) {
+  fs.writeFileSync(file, JSON.stringify({
+    version: 1,
+    mappings: { 'C1:1.000001': { channelId: 'C1', threadTs: '1.000001', postId } },
+    prompts: {},
+    media: {},
+    history: []
+  }));
+}
+
+test('a missing state file is recovered from the newest readable backup', async () => {
+  writeState(`${stateFile}.2024-01-01T00-00-00-000Z.bak`, 1);
+  writeState(`${stateFile}.2024-01-02T00-00-00-000Z.bak`, 2);
+  fs.writeFileSync(`${stateFile}.2024-01-03T00-00-00-000Z.bak`, '{"mappings": ');
+
+  const store = new JsonStateStore(stateFile);
+  await store.init();
+
+  assert.strictEqual(store.getMapping('C1:1.000001').postId, 2);
+  const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  assert.strictEqual(saved.mappings['C1:1.000001'].postId, 2);
+});
+
+test('a missing state file without backups starts empty', async () => {
+  const store = new JsonStateStore(stateFile);
+  await store.init();
+
+  assert.deepStrictEqual(store.getAllMappings(), {});
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(stateFile, 'utf8')).mappings, {});
+});
+
+test('an unreadable state file is moved aside and replaced by the newest backup', async () => {
+  writeState(`${stateFile}.2024-01-01T00-00-00-000Z.bak`, 1);
+  fs.writeFileSync(stateFile, '{"mappings": ');
+
+  const store = new JsonStateStore(stateFile);
+  await store.init();
+
+  assert.strictEqual(store.getMapping('C1:1.000001').postId, 1);
+  assert.strictEqual(fs.readdirSync(dir).filter(file => file.endsWith('.corrupt')).length, 1);
+});
+
+test('a state file without a version is migrated, with a backup of the old format', async () => {
+  fs.writeFileSync(stateFile, JSON.stringify({
+    mappings: { 'C1:1.000001': { channelId: 'C1', threadTs: '1.000001', postId: 3, llmPrompt: 'Summarize' } }
+  }));
+
+  const store = new JsonStateStore(stateFile);
+  await store.init();
+  assert.strictEqual(store.getPrompt('C1:1.000001'), 'Summarize');
+  assert.ok(!('llmPrompt' in store.getMapping('C1:1.000001')));
+
+  await store.putMedia('F1', { mediaId: 9 });
+  const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  assert.strictEqual(saved.version, 1);
+  assert.deepStrictEqual(saved.prompts, { 'C1:1.000001': 'Summarize' });
+  assert.deepStrictEqual(saved.history, []);
+
+  const backups = fs.readdirSync(dir).filter(file => file.endsWith('.bak'));
+  assert.strictEqual(backups.length, 1);
+  const backup = JSON.parse(fs.readFileSync(path.join(dir, backups[0]), 'utf8'));
+  assert.strictEqual(backup.version, undefined);
+  assert.strictEqual(backup.mappings['C1:1.000001'].llmPrompt, 'Summarize');
+});
+
+test('a state file from a newer version is refused and left untouched', async () => {
+  const contents = JSON.stringify({ version: 99, mappings: {} });
+  fs.writeFileSync(stateFile, contents);
+
+  const store = new JsonStateStore(stateFile);
+  await assert.rejects(store.init(), /written by a newer version of the app/);
+  assert.strictEqual(fs.readFileSync(stateFile, 'utf8'), contents);
+});
+
+test('concurrent changes are saved together without losing any', async () => {
+  const store = new JsonStateStore(stateFile, { backupCount: 0 });
+  await store.init();
+
+  await Promise.all([
+    store.putMedia('F1', { mediaId: 1 }),
+    store.putMedia('F2', { mediaId: 2 }),
+    store.putPrompt('C1:1.000001', 'Summarize')
+  ]);
+
+  const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  assert.deepStrictEqual(Object.keys(saved.media), ['F1', 'F2']);
+  assert.strictEqual(saved.prompts['C1:1.000001'], 'Summarize');
+  assert.ok(!fs.existsSync(`${stateFile}.tmp`));
+});
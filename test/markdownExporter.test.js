@@ -0,0 +1,52 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MarkdownExporter = require('../src/modules/markdownExporter');
+const SlackService = require('../src/modules/slackService');
+
+const messages = [
+  { ts: '1700000000.000100', text: 'Ask <@U1> about the <#C9|ops> rota\nDetails', user: 'U2' },
+  { ts: '1700000000.000200', text: 'Thanks <@U2>', user: 'U1' }
+];
+const userMap = new Map([['U1', 'Ada Lovelace'], ['U2', 'Grace Hopper']]);
+
+let dir;
+let exporter;
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'slack2wordpress-test-'));
+  exporter = new MarkdownExporter(dir, null, new SlackService('xoxb-test'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('titles and filenames use resolved mention names instead of raw Slack tokens', async () => {
+  const result = await exporter.exportThread(messages, messages[0].ts, null, userMap, { channels: new Map([['C9', 'ops']]) });
+
+  assert.strictEqual(result.title, 'Ask @Ada Lovelace about the #ops rota');
+  assert.strictEqual(result.filename, '1700000000-000100-ask-ada-lovelace-about-the-ops-rota.md');
+  const markdown = fs.readFileSync(result.path, 'utf8');
+  assert.ok(markdown.startsWith('# Ask @Ada Lovelace about the #ops rota\n'));
+  assert.ok(!markdown.includes('<@U1>'));
+});
+
+test('anonymized exports replace names in titles, mentions and user lines', async () => {
+  const result = await exporter.exportThread(messages, messages[0].ts, null, userMap, { anonymize: true });
+  const markdown = fs.readFileSync(result.path, 'utf8');
+  const template = fs.readFileSync(result.summaryTemplate.path, 'utf8');
+
+  assert.strictEqual(result.title, 'Ask @Participant 1 about the #ops rota');
+  assert.ok(markdown.includes('**User:** Participant 2\n'));
+  assert.ok(markdown.includes('**User:** Participant 1\n'));
+  assert.ok(markdown.includes('Thanks @Participant 2'));
+  assert.ok(template.includes('Ask @Participant 1 about the #ops rota'));
+  for (const name of ['Ada', 'Grace', 'U1', 'U2']) {
+    assert.ok(!markdown.includes(name), `${name} is not in the export`);
+    assert.ok(!template.includes(name), `${name} is not in the summary template`);
+  }
+});
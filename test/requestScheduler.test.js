@@ -0,0 +1,122 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const RequestScheduler = require('../src/modules/requestScheduler');
+
+beforeEach((t) => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+/**
+ * Promise with its resolve function, to finish a fake request from the test
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+/**
+ * Error shaped like an axios HTTP error
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Response headers
+ */
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+}
+
+test('a 429 is retried after its Retry-After delay and pauses the whole queue', async (t) => {
+  const scheduler = new RequestScheduler();
+  const delays = [];
+  t.mock.method(scheduler, 'sleep', async (ms) => { delays.push(ms); });
+
+  let calls = 0;
+  const result = await scheduler.schedule(async () => {
+    calls++;
+    if (calls === 1) {
+      throw httpError(429, { 'retry-after': '7' });
+    }
+    return 'ok';
+  }, 'conversations.history');
+
+  assert.strictEqual(result, 'ok');
+  assert.strictEqual(delays[0], 7000);
+  assert.ok(scheduler.pausedUntil >= Date.now() + 6000);
+  assert.deepStrictEqual(scheduler.getStats(), { retries: 1, rateLimited: 1, failed: 0 });
+});
+
+test('the Slack WebClient rate limit error uses its retryAfter seconds', () => {
+  const scheduler = new RequestScheduler();
+  const error = Object.assign(new Error('rate limited'), { code: 'slack_webapi_rate_limited_error', retryAfter: 30 });
+
+  assert.deepStrictEqual(scheduler.getRetryInfo(error), { rateLimited: true, retryAfterMs: 30000, reason: 'ratelimited' });
+});
+
+test('server errors back off exponentially and give up after maxRetries', async (t) => {
+  const scheduler = new RequestScheduler({ maxRetries: 3, baseDelayMs: 100 });
+  const delays = [];
+  t.mock.method(scheduler, 'sleep', async (ms) => { delays.push(ms); });
+  t.mock.method(Math, 'random', () => 0);
+
+  let calls = 0;
+  await assert.rejects(scheduler.schedule(async () => {
+    calls++;
+    throw httpError(503);
+  }), /HTTP 503/);
+
+  assert.strictEqual(calls, 4);
+  assert.deepStrictEqual(delays, [100, 200, 400]);
+  assert.deepStrictEqual(scheduler.getStats(), { retries: 3, rateLimited: 0, failed: 1 });
+});
+
+test('errors that are not transient are thrown without retrying', async () => {
+  const scheduler = new RequestScheduler();
+  let calls = 0;
+
+  await assert.rejects(scheduler.schedule(async () => {
+    calls++;
+    throw Object.assign(new Error('channel_not_found'), { data: { error: 'channel_not_found' } });
+  }), /channel_not_found/);
+  assert.strictEqual(calls, 1);
+});
+
+test('a finished request hands its slot to the longest waiting request', async () => {
+  const scheduler = new RequestScheduler({ concurrency: 1 });
+  const started = [];
+  const first = deferred();
+
+  const a = scheduler.schedule(() => { started.push('a'); return first.promise; });
+  const b = scheduler.schedule(async () => { started.push('b'); });
+  await new Promise(setImmediate);
+  assert.deepStrictEqual(started, ['a']);
+
+  // c arrives right as a finishes, but b has been waiting and gets the slot
+  first.resolve();
+  const c = scheduler.schedule(async () => { started.push('c'); });
+  await Promise.all([a, b, c]);
+
+  assert.deepStrictEqual(started, ['a', 'b', 'c']);
+  assert.strictEqual(scheduler.active, 0);
+  assert.strictEqual(scheduler.queue.length, 0);
+});
+
+test('a streamed download keeps its slot until the stream has ended', async () => {
+  const scheduler = new RequestScheduler({ concurrency: 1 });
+  const body = new PassThrough();
+  const started = [];
+
+  await scheduler.schedule(async () => { started.push('download'); return { data: body }; }, 'download', {
+    holdUntilEnd: response => response.data
+  });
+  const next = scheduler.schedule(async () => { started.push('next'); });
+  await new Promise(setImmediate);
+  assert.deepStrictEqual(started, ['download']);
+  assert.strictEqual(scheduler.active, 1);
+
+  body.resume();
+  body.end();
+  await next;
+  assert.deepStrictEqual(started, ['download', 'next']);
+  assert.strictEqual(scheduler.active, 0);
+});
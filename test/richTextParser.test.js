@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RichTextParser = require('../src/modules/richTextParser');
+const MrkdwnFormatter = require('../src/modules/mrkdwnFormatter');
+
+const parser = new RichTextParser();
+
+/**
+ * Wrap rich_text elements in a message's blocks
+ * @param {Array} elements - Top-level rich_text elements
+ */
+function richText(...elements) {
+  return [{ type: 'rich_text', elements }];
+}
+
+test('only messages with rich_text blocks are parsed as rich text', () => {
+  assert.strictEqual(parser.hasRichText({ blocks: richText() }), true);
+  assert.strictEqual(parser.hasRichText({ blocks: [{ type: 'section', text: { type: 'mrkdwn', text: 'Hi' } }] }), false);
+  assert.strictEqual(parser.hasRichText({ text: 'Hi' }), false);
+  assert.strictEqual(parser.hasRichText(null), false);
+});
+
+test('sections split into paragraphs at blank lines, single newlines become line breaks', () => {
+  const nodes = parser.parseBlocks(richText({
+    type: 'rich_text_section',
+    elements: [{ type: 'text', text: 'First line\nsecond line\n\nNext paragraph\n' }]
+  }));
+
+  assert.deepStrictEqual(nodes, [
+    {
+      type: 'paragraph',
+      children: [{ type: 'text', value: 'First line' }, { type: 'br' }, { type: 'text', value: 'second line' }]
+    },
+    { type: 'paragraph', children: [{ type: 'text', value: 'Next paragraph' }] }
+  ]);
+});
+
+test('text styles nest as bold, italic, strike around code', () => {
+  const [paragraph] = parser.parseBlocks(richText({
+    type: 'rich_text_section',
+    elements: [{ type: 'text', text: 'npm ci', style: { bold: true, italic: true, strike: true, code: true } }]
+  }));
+
+  assert.deepStrictEqual(paragraph.children, [{
+    type: 'bold',
+    children: [{
+      type: 'italic',
+      children: [{ type: 'strike', children: [{ type: 'code', value: 'npm ci' }] }]
+    }]
+  }]);
+});
+
+test('mentions, links, emoji and broadcasts become their own nodes', () => {
+  const [paragraph] = parser.parseBlocks(richText({
+    type: 'rich_text_section',
+    elements: [
+      { type: 'user', user_id: 'U1' },
+      { type: 'channel', channel_id: 'C1' },
+      { type: 'usergroup', usergroup_id: 'S1' },
+      { type: 'broadcast', range: 'channel' },
+      { type: 'broadcast', range: 'something-new' },
+      { type: 'link', url: 'https://example.com', text: 'docs' },
+      { type: 'emoji', name: 'thumbsup', unicode: '1f44d', skin_tone: 3 },
+      { type: 'date', timestamp: 1700000000, fallback: 'Nov 14' }
+    ]
+  }));
+
+  assert.deepStrictEqual(paragraph.children, [
+    { type: 'user', id: 'U1', label: null },
+    { type: 'channel', id: 'C1', label: null },
+    { type: 'usergroup', id: 'S1', label: null },
+    { type: 'special', name: 'channel' },
+    { type: 'special', name: 'here' },
+    { type: 'link', url: 'https://example.com', label: 'docs' },
+    { type: 'emoji', name: 'thumbsup', unicode: '1f44d', skinTone: 3 },
+    { type: 'text', value: 'Nov 14' }
+  ]);
+});
+
+test('lists keep their style and indent, and preformatted text keeps its newlines', () => {
+  const nodes = parser.parseBlocks(richText(
+    {
+      type: 'rich_text_list',
+      style: 'ordered',
+      indent: 1,
+      elements: [
+        { type: 'rich_text_section', elements: [{ type: 'text', text: 'Rotate keys\n' }] },
+        { type: 'rich_text_section', elements: [{ type: 'text', text: 'Deploy' }] }
+      ]
+    },
+    {
+      type: 'rich_text_preformatted',
+      elements: [{ type: 'text', text: 'line 1\nline 2\n' }, { type: 'link', url: 'https://example.com' }]
+    },
+    {
+      type: 'rich_text_quote',
+      elements: [{ type: 'text', text: 'Quoted' }]
+    }
+  ));
+
+  assert.deepStrictEqual(nodes, [
+    {
+      type: 'list',
+      ordered: true,
+      indent: 1,
+      items: [[{ type: 'text', value: 'Rotate keys' }], [{ type: 'text', value: 'Deploy' }]]
+    },
+    { type: 'code_block', value: 'line 1\nline 2\nhttps://example.com' },
+    { type: 'quote', children: [{ type: 'paragraph', children: [{ type: 'text', value: 'Quoted' }] }] }
+  ]);
+});
+
+test('rich text is not entity-decoded, so markup in it is escaped in the HTML output', () => {
+  const formatter = new MrkdwnFormatter();
+  const html = formatter.messageToHtml({
+    text: 'fallback',
+    blocks: richText({ type: 'rich_text_section', elements: [{ type: 'text', text: '<script>alert(1)</script> & more' }] })
+  });
+
+  assert.ok(!html.includes('<script>'));
+  assert.ok(html.includes('&lt;script&gt;'));
+  assert.ok(html.includes('&amp; more'));
+  assert.ok(!html.includes('fallback'));
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const SlackRequestVerifier = require('../src/modules/slackRequestVerifier');
+
+const SECRET = '8f742231b10e8888abcd99yyyzzz85a5';
+const BODY = 'token=xyzz0WbapA4vBCDEFasx0q6G&team_id=T1DC2JH3J&command=%2Fwp-publish';
+
+/**
+ * Express-like request signed with a secret
+ * @param {Object} options - { secret, timestamp, body, signature }
+ */
+function signedRequest({ secret = SECRET, timestamp = Math.floor(Date.now() / 1000), body = BODY, signature } = {}) {
+  const headers = {
+    'X-Slack-Request-Timestamp': String(timestamp),
+    'X-Slack-Signature': signature ||
+      'v0=' + crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex')
+  };
+  return { rawBody: Buffer.from(body, 'utf8'), get: name => headers[name] };
+}
+
+const verifier = new SlackRequestVerifier(SECRET);
+
+test('a request signed with the signing secret is accepted', () => {
+  assert.deepStrictEqual(verifier.verify(signedRequest()), { valid: true });
+});
+
+test('a request signed with another secret is rejected', () => {
+  assert.deepStrictEqual(verifier.verify(signedRequest({ secret: 'another-secret' })), {
+    valid: false,
+    error: 'Invalid Slack signature'
+  });
+});
+
+test('a body changed after signing is rejected', () => {
+  const req = signedRequest();
+  req.rawBody = Buffer.from(`${BODY}&text=extra`, 'utf8');
+  assert.strictEqual(verifier.verify(req).error, 'Invalid Slack signature');
+});
+
+test('a signature of the wrong length is rejected without throwing', () => {
+  assert.strictEqual(verifier.verify(signedRequest({ signature: 'v0=abc' })).error, 'Invalid Slack signature');
+});
+
+test('requests older than five minutes are rejected as replays', () => {
+  const timestamp = Math.floor(Date.now() / 1000) - 6 * 60;
+  assert.deepStrictEqual(verifier.verify(signedRequest({ timestamp })), {
+    valid: false,
+    error: 'Slack request timestamp is too old'
+  });
+  assert.deepStrictEqual(verifier.verify(signedRequest({ timestamp: timestamp + 2 * 60 })), { valid: true });
+});
+
+test('missing headers, body or signing secret are rejected', () => {
+  const req = signedRequest();
+  assert.strictEqual(verifier.verify({ ...req, get: () => undefined }).error, 'Missing Slack signature headers');
+  assert.strictEqual(verifier.verify({ ...req, rawBody: undefined }).error, 'Missing Slack signature headers');
+  assert.strictEqual(new SlackRequestVerifier('').verify(req).error, 'SLACK_SIGNING_SECRET is not configured');
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SlackService = require('../src/modules/slackService');
+
+const slackService = new SlackService('xoxb-test');
+
+test('post titles are HTML-escaped, since WordPress reads titles as HTML', () => {
+  // Slack sends <, > and & as entities
+  const post = slackService.formatThreadAsPost([
+    { ts: '1.000001', text: 'Release &lt;img src=x onerror=alert(1)&gt; notes &amp; fixes\nDetails', user: 'U1' }
+  ]);
+
+  assert.strictEqual(post.title, 'Release &lt;img src=x onerror=alert(1)&gt; notes &amp; fixes');
+  assert.strictEqual(post.plainTitle, 'Release <img src=x onerror=alert(1)> notes & fixes');
+  assert.ok(!post.title.includes('<img'));
+});
+
+test('post titles escape quotes and keep plain text intact', () => {
+  const post = slackService.formatThreadAsPost([
+    { ts: '1.000001', text: 'Why does "npm ci" fail on Tom\'s machine?', user: 'U1' }
+  ]);
+
+  assert.strictEqual(post.title, 'Why does &quot;npm ci&quot; fail on Tom&#039;s machine?');
+  assert.strictEqual(post.plainTitle, 'Why does "npm ci" fail on Tom\'s machine?');
+});
+
+test('a failed bot identity lookup is retried on the next call', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const service = new SlackService('xoxb-test');
+  let calls = 0;
+  service.client = {
+    auth: {
+      test: async () => {
+        calls++;
+        if (calls === 1) {
+          throw new Error('ratelimited');
+        }
+        return { user_id: 'UBOT', bot_id: 'BBOT' };
+      }
+    }
+  };
+
+  assert.strictEqual(await service.getBotIdentity(), null);
+  assert.deepStrictEqual(await service.getBotIdentity(), { userId: 'UBOT', botId: 'BBOT' });
+  assert.deepStrictEqual(await service.getBotIdentity(), { userId: 'UBOT', botId: 'BBOT' });
+  assert.strictEqual(calls, 2);
+  assert.ok(service.isOwnMessage({ bot_id: 'BBOT' }));
+});
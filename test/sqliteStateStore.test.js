@@ -0,0 +1,111 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SqliteStateStore = require('../src/modules/sqliteStateStore');
+
+// better-sqlite3 is an optional dependency
+let Database = null;
+try {
+  Database = require('better-sqlite3');
+} catch {
+  // Tests below are skipped
+}
+const skip = !Database && 'better-sqlite3 is not installed';
+
+let dir;
+let databaseFile;
+let jsonFile;
+let store;
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'slack2wordpress-test-'));
+  databaseFile = path.join(dir, 'state.db');
+  jsonFile = path.join(dir, 'state.json');
+  store = null;
+});
+
+afterEach(() => {
+  store?.db?.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a new database gets the current schema version', { skip }, async () => {
+  store = new SqliteStateStore(databaseFile);
+  await store.init();
+
+  assert.strictEqual(store.db.pragma('user_version', { simple: true }), 1);
+  const tables = store.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name").all().map(row => row.name);
+  assert.deepStrictEqual(tables, ['mappings', 'media', 'meta', 'prompts', 'sqlite_sequence', 'sync_history']);
+});
+
+test('a database from a newer version is refused', { skip }, async () => {
+  const db = new Database(databaseFile);
+  db.pragma('user_version = 99');
+  db.close();
+
+  store = new SqliteStateStore(databaseFile);
+  await assert.rejects(store.init(), /written by a newer version of the app/);
+});
+
+test('state.json is imported once and renamed', { skip }, async () => {
+  fs.writeFileSync(jsonFile, JSON.stringify({
+    mappings: { 'C1:1.000001': { channelId: 'C1', threadTs: '1.000001', postId: 3, llmPrompt: 'Summarize' } },
+    media: { F1: { mediaId: 9, url: 'https://wp.test/f1.png' } },
+    history: [{ channelId: 'C1', threadTs: '1.000001', postId: 3, action: 'created', syncedAt: '2024-01-01T00:00:00Z' }]
+  }));
+
+  store = new SqliteStateStore(databaseFile, jsonFile);
+  await store.init();
+
+  assert.deepStrictEqual(store.getMapping('C1:1.000001'), { channelId: 'C1', threadTs: '1.000001', postId: 3 });
+  assert.strictEqual(store.getPrompt('C1:1.000001'), 'Summarize');
+  assert.strictEqual(store.getMedia('F1').mediaId, 9);
+  assert.strictEqual(store.getHistory().length, 1);
+  assert.ok(!fs.existsSync(jsonFile));
+  assert.ok(fs.existsSync(`${jsonFile}.migrated`));
+
+  // A state.json showing up later is not imported again
+  store.db.close();
+  fs.writeFileSync(jsonFile, JSON.stringify({ mappings: { 'C2:2.000001': { postId: 4 } } }));
+  store = new SqliteStateStore(databaseFile, jsonFile);
+  await store.init();
+  assert.strictEqual(store.getMapping('C2:2.000001'), null);
+  assert.ok(fs.existsSync(jsonFile));
+});
+
+test('mapping fields without a column round-trip through the extra column', { skip }, async () => {
+  store = new SqliteStateStore(databaseFile);
+  await store.init();
+
+  const mapping = {
+    channelId: 'C1',
+    threadTs: '1.000001',
+    postId: 3,
+    fingerprint: 'abc',
+    retired: { postId: 3, state: 'trashed', status: 'publish' }
+  };
+  await store.putMapping('C1:1.000001', { ...mapping, hasLlmPrompt: true, title: undefined });
+  assert.deepStrictEqual(store.getMapping('C1:1.000001'), mapping);
+
+  await store.putPrompt('C1:1.000001', 'Summarize');
+  assert.strictEqual(store.getAllMappings()['C1:1.000001'].hasLlmPrompt, true);
+
+  await store.deleteMapping('C1:1.000001');
+  assert.strictEqual(store.getMapping('C1:1.000001'), null);
+  assert.strictEqual(store.getPrompt('C1:1.000001'), null);
+});
+
+test('history is filtered by thread and returned newest first', { skip }, async () => {
+  store = new SqliteStateStore(databaseFile);
+  await store.init();
+
+  await store.addHistory({ channelId: 'C1', threadTs: '1.000001', postId: 3, action: 'created', syncedAt: '2024-01-01T00:00:00Z' });
+  await store.addHistory({ channelId: 'C1', threadTs: '1.000002', postId: 4, action: 'created', syncedAt: '2024-01-01T00:00:01Z' });
+  await store.addHistory({ channelId: 'C1', threadTs: '1.000001', postId: 3, action: 'updated', syncedAt: '2024-01-01T00:00:02Z' });
+
+  assert.deepStrictEqual(store.getHistory({ threadTs: '1.000001' }).map(entry => entry.action), ['updated', 'created']);
+  assert.strictEqual(store.getHistory({ limit: 1 })[0].syncedAt, '2024-01-01T00:00:02Z');
+});
@@ -0,0 +1,94 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StateManager = require('../src/modules/stateManager');
+
+// better-sqlite3 is an optional dependency
+let sqliteInstalled = true;
+try {
+  require('better-sqlite3');
+} catch {
+  sqliteInstalled = false;
+}
+const skipSqlite = !sqliteInstalled && 'better-sqlite3 is not installed';
+
+let dir;
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'slack2wordpress-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Open a state manager in the test directory
+ * @param {string} backend - 'json' or 'sqlite'
+ */
+async function openState(backend) {
+  const stateManager = new StateManager(path.join(dir, 'state.json'), { backend, backupCount: 0 });
+  await stateManager.init();
+  return stateManager;
+}
+
+const syncResult = {
+  postId: 12,
+  title: 'Rotating API keys',
+  action: 'updated',
+  llmPrompt: 'Summarize this thread',
+  changes: { contentHash: 'abc', modifiedGmt: '2024-01-01T00:00:00', fingerprint: undefined, retired: undefined }
+};
+
+for (const backend of ['json', 'sqlite']) {
+  test(`${backend}: a sync result updates the mapping, prompt and history together`, { skip: backend === 'sqlite' && skipSqlite }, async () => {
+    const stateManager = await openState(backend);
+    await stateManager.setMapping('C1', '1.000001', 11, 'Old title', null, {
+      fingerprint: 'old',
+      retired: { postId: 11, state: 'trashed' },
+      slackReplyTs: '1.000009'
+    });
+
+    await stateManager.saveSyncResult('C1', '1.000001', syncResult);
+
+    const mapping = stateManager.getMapping('C1', '1.000001');
+    assert.strictEqual(mapping.postId, 12);
+    assert.strictEqual(mapping.title, 'Rotating API keys');
+    assert.strictEqual(mapping.contentHash, 'abc');
+    assert.strictEqual(mapping.slackReplyTs, '1.000009');
+    assert.ok(!mapping.fingerprint);
+    assert.ok(!mapping.retired);
+    assert.strictEqual(stateManager.getLLMPrompt('C1', '1.000001'), 'Summarize this thread');
+    assert.deepStrictEqual(stateManager.getSyncHistory().map(entry => [entry.postId, entry.action]), [[12, 'updated']]);
+    stateManager.store.db?.close();
+  });
+}
+
+test('json: a sync result is saved in a single file write', async (t) => {
+  const stateManager = await openState('json');
+  const write = t.mock.method(stateManager.store, 'write');
+
+  await stateManager.saveSyncResult('C1', '1.000001', syncResult);
+  assert.strictEqual(write.mock.callCount(), 1);
+
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'state.json'), 'utf8'));
+  assert.strictEqual(saved.mappings['C1:1.000001'].contentHash, 'abc');
+  assert.strictEqual(saved.history.length, 1);
+});
+
+test('sqlite: a failed sync result write leaves the mapping untouched', { skip: skipSqlite }, async () => {
+  const stateManager = await openState('sqlite');
+  await stateManager.setMapping('C1', '1.000001', 11, 'Old title', null, { fingerprint: 'old' });
+
+  // The history row violates NOT NULL after the mapping row was written
+  await assert.rejects(stateManager.saveSyncResult('C1', '1.000001', { ...syncResult, action: null }));
+
+  const mapping = stateManager.getMapping('C1', '1.000001');
+  assert.strictEqual(mapping.postId, 11);
+  assert.strictEqual(mapping.fingerprint, 'old');
+  assert.strictEqual(stateManager.getLLMPrompt('C1', '1.000001'), null);
+  stateManager.store.db.close();
+});
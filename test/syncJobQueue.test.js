@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SyncJobQueue = require('../src/modules/syncJobQueue');
+
+/**
+ * Stand-in for SyncService whose syncAll runs until the test finishes or cancels it
+ */
+function createSyncService() {
+  const runs = [];
+  return {
+    runs,
+    getSyncProgress: () => ({ status: 'processing' }),
+    syncAll(options) {
+      return new Promise((resolve, reject) => {
+        const run = { options, resolve, reject };
+        runs.push(run);
+        options.signal.addEventListener('abort', () => resolve({ cancelled: true }));
+      });
+    }
+  };
+}
+
+/**
+ * Let the queue's promise callbacks run
+ */
+function settle() {
+  return new Promise(setImmediate);
+}
+
+test('jobs run one at a time in the order they were queued', async () => {
+  const syncService = createSyncService();
+  const queue = new SyncJobQueue(syncService);
+
+  const first = queue.enqueue({ channelId: 'C1' });
+  const second = queue.enqueue({ channelId: 'C2' });
+  assert.strictEqual(first.status, 'running');
+  assert.strictEqual(second.status, 'queued');
+  assert.strictEqual(second.position, 1);
+  assert.strictEqual(syncService.runs.length, 1);
+
+  syncService.runs[0].resolve({ created: 1 });
+  await settle();
+  assert.strictEqual(queue.getJob(first.id).status, 'completed');
+  assert.deepStrictEqual(queue.getJob(first.id).results, { created: 1 });
+  assert.strictEqual(queue.getJob(second.id).status, 'running');
+  assert.strictEqual(syncService.runs[1].options.channelId, 'C2');
+  assert.strictEqual(syncService.runs[1].options.jobId, second.id);
+});
+
+test('a cancelled queued job is dropped and never runs', async () => {
+  const syncService = createSyncService();
+  const queue = new SyncJobQueue(syncService);
+
+  queue.enqueue();
+  const second = queue.enqueue({ channelId: 'C2' });
+  const third = queue.enqueue({ channelId: 'C3' });
+
+  const cancelled = queue.cancel(second.id);
+  assert.strictEqual(cancelled.status, 'cancelled');
+  assert.ok(cancelled.finishedAt);
+  assert.strictEqual(queue.getJob(third.id).position, 1);
+
+  syncService.runs[0].resolve({});
+  await settle();
+  assert.deepStrictEqual(syncService.runs.map(run => run.options.channelId), [undefined, 'C3']);
+});
+
+test('a cancelled running job aborts its sync and the next job starts', async () => {
+  const syncService = createSyncService();
+  const queue = new SyncJobQueue(syncService);
+
+  const first = queue.enqueue();
+  const second = queue.enqueue({ channelId: 'C2' });
+
+  const cancelling = queue.cancel(first.id);
+  assert.strictEqual(cancelling.status, 'cancelling');
+  assert.strictEqual(syncService.runs[0].options.signal.aborted, true);
+
+  await settle();
+  assert.strictEqual(queue.getJob(first.id).status, 'cancelled');
+  assert.strictEqual(queue.getJob(second.id).status, 'running');
+});
+
+test('finished jobs cannot be cancelled and unknown jobs are reported as missing', async () => {
+  const syncService = createSyncService();
+  const queue = new SyncJobQueue(syncService);
+
+  const job = queue.enqueue();
+  syncService.runs[0].reject(new Error('invalid_auth'));
+  await settle();
+
+  assert.strictEqual(queue.getJob(job.id).status, 'failed');
+  assert.strictEqual(queue.getJob(job.id).error, 'invalid_auth');
+  assert.throws(() => queue.cancel(job.id), /has already failed/);
+  assert.strictEqual(queue.cancel('no-such-job'), null);
+});
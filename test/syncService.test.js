@@ -0,0 +1,272 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const SyncService = require('../src/modules/syncService');
+
+const WP_URL = 'http://wordpress.test';
+const CHANNEL_ID = 'C1';
+const THREAD_TS = '1700000000.000100';
+
+/**
+ * Messages of the synced thread (fresh for every test)
+ */
+function createThreadMessages() {
+  return [
+    { ts: THREAD_TS, thread_ts: THREAD_TS, text: 'How do we rotate the API keys?', user: 'U1', reply_count: 1 },
+    { ts: '1700000000.000200', thread_ts: THREAD_TS, text: 'Run the rotate script', user: 'U2' }
+  ];
+}
+
+/**
+ * Stand-in for the WordPress REST API, answering the requests axios makes
+ * Posts are kept in memory; every create and update request is recorded.
+ * Tag and category routes only answer once a test sets `terms` to an array.
+ */
+function createWordPress() {
+  const posts = new Map();
+  const requests = [];
+  const postType = { slug: 'post', name: 'Posts', rest_base: 'posts', taxonomies: ['category', 'post_tag'] };
+  const wordpress = { posts, requests, postType, terms: null };
+  let nextId = 100;
+
+  const toResponse = post => ({
+    id: post.id,
+    title: { raw: post.title, rendered: post.title },
+    content: { raw: post.content, rendered: post.content },
+    link: `${WP_URL}/?p=${post.id}`,
+    status: post.status,
+    author: post.author,
+    modified_gmt: post.modifiedGmt,
+    meta: post.meta || {}
+  });
+
+  const adapter = async config => {
+    const url = new URL(config.url);
+    const route = url.pathname.replace('/wp-json/wp/v2', '');
+    const body = config.data ? JSON.parse(config.data) : null;
+    const method = config.method.toUpperCase();
+    let status = 200;
+    let data;
+
+    if (method === 'GET' && route === '/types/post') {
+      data = postType;
+    } else if (method === 'GET' && route === '/users') {
+      data = [];
+    } else if (wordpress.terms && /^\/(tags|categories)$/.test(route)) {
+      const taxonomy = route.slice(1);
+      if (method === 'POST') {
+        const term = { taxonomy, id: nextId++, name: body.name, slug: body.name.toLowerCase() };
+        wordpress.terms.push(term);
+        data = term;
+        status = 201;
+      } else {
+        const search = config.params.search.toLowerCase();
+        data = wordpress.terms.filter(term => term.taxonomy === taxonomy && term.name.toLowerCase().includes(search));
+      }
+    } else if (method === 'POST' && route === '/posts') {
+      requests.push({ method, route, body });
+      const post = { ...body, id: nextId++, status: body.status || 'draft', modifiedGmt: `2024-01-01T00:00:0${requests.length}` };
+      // Like WordPress, publishing with a future date schedules the post
+      if (post.status === 'publish' && post.date_gmt && Date.parse(`${post.date_gmt}Z`) > Date.now()) {
+        post.status = 'future';
+      }
+      posts.set(post.id, post);
+      data = toResponse(post);
+      status = 201;
+    } else if (/^\/posts\/\d+$/.test(route)) {
+      const post = posts.get(Number(route.split('/').pop()));
+      if (!post) {
+        status = 404;
+        data = { code: 'rest_post_invalid_id', message: 'Invalid post ID.' };
+      } else if (method === 'PUT') {
+        requests.push({ method, route, body });
+        Object.assign(post, body, { modifiedGmt: `2024-01-01T00:00:0${requests.length}` });
+        data = toResponse(post);
+      } else {
+        data = toResponse(post);
+      }
+    } else {
+      status = 404;
+      data = { code: 'rest_no_route', message: `No route for ${method} ${route}` };
+    }
+
+    const response = { data, status, statusText: String(status), headers: {}, config, request: {} };
+    if (status >= 400) {
+      throw new axios.AxiosError(data.message, null, config, {}, response);
+    }
+    return response;
+  };
+
+  wordpress.adapter = adapter;
+  return wordpress;
+}
+
+let dir;
+let messages;
+let originalAdapter;
+let wordpress;
+let syncService;
+
+beforeEach(async (t) => {
+  // Sync logging is noise here
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'slack2wordpress-test-'));
+  messages = createThreadMessages();
+  wordpress = createWordPress();
+  originalAdapter = axios.defaults.adapter;
+  axios.defaults.adapter = wordpress.adapter;
+
+  syncService = new SyncService({
+    slackToken: 'xoxb-test',
+    wordpressUrl: WP_URL,
+    wordpressUsername: 'editor',
+    wordpressPassword: 'abcd efgh ijkl mnop',
+    stateFile: path.join(dir, 'state.json'),
+    markdownOutputDir: path.join(dir, 'posts'),
+    channelId: CHANNEL_ID,
+    uploadImages: false,
+    authorOverrides: { U1: 5 }
+  });
+  syncService.slackService.client = {
+    conversations: {
+      replies: async () => ({ messages, has_more: false })
+    },
+    users: {
+      info: async ({ user }) => ({ user: { id: user, real_name: `User ${user}`, profile: {} } })
+    },
+    chat: {
+      getPermalink: async () => ({ permalink: `https://example.slack.com/archives/${CHANNEL_ID}/p1700000000000100` })
+    },
+    emoji: {
+      list: async () => ({ emoji: {} })
+    }
+  };
+  syncService.imageDownloader.slackClient = syncService.slackService.client;
+  syncService.emojiService.slackClient = syncService.slackService.client;
+  await syncService.init();
+});
+
+afterEach(() => {
+  axios.defaults.adapter = originalAdapter;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('updating a post sends the author when the author mapping changed', async () => {
+  const created = await syncService.syncThread(THREAD_TS, CHANNEL_ID);
+  assert.strictEqual(created.action, 'created');
+  assert.strictEqual(wordpress.requests[0].body.author, 5);
+
+  // The thread is unchanged, but its starter now maps to another WordPress user
+  syncService.authorMapper.overrides = { U1: 7 };
+  syncService.authorMapper.cache.clear();
+
+  const updated = await syncService.syncThread(THREAD_TS, CHANNEL_ID);
+  assert.strictEqual(updated.action, 'updated');
+  assert.strictEqual(updated.author, 7);
+
+  const update = wordpress.requests[1];
+  assert.strictEqual(update.method, 'PUT');
+  assert.strictEqual(update.route, `/posts/${created.postId}`);
+  assert.strictEqual(update.body.author, 7);
+  assert.strictEqual(wordpress.posts.get(created.postId).author, 7);
+});
+
+test('updating a post leaves the author alone when no author is mapped', async () => {
+  syncService.authorMapper.overrides = {};
+  syncService.authorMapper.cache.clear();
+
+  const created = await syncService.syncThread(THREAD_TS, CHANNEL_ID);
+  const updated = await syncService.syncThread(THREAD_TS, CHANNEL_ID, { force: true });
+  assert.strictEqual(updated.action, 'updated');
+  assert.strictEqual(updated.postId, created.postId);
+  assert.ok(!('author' in wordpress.requests[1].body));
+});
+
+test('categories and tags are left out for post types without those taxonomies', async () => {
+  wordpress.postType.taxonomies = [];
+  syncService.channels[0].category = 'Security';
+  syncService.taxonomyService.hashtagTags = true;
+  messages[1].text = 'Run the rotate script #security';
+
+  const created = await syncService.syncThread(THREAD_TS, CHANNEL_ID);
+  assert.strictEqual(created.action, 'created');
+  assert.deepStrictEqual(created.categories, []);
+  assert.deepStrictEqual(created.tags, []);
+
+  const { body } = wordpress.requests[0];
+  assert.ok(!('categories' in body));
+  assert.ok(!('tags' in body));
+  const warnings = console.warn.mock.calls.map(call => call.arguments[0]);
+  assert.ok(warnings.some(warning => warning.includes("doesn't use categories, leaving out: Security")));
+  assert.ok(warnings.some(warning => warning.includes("doesn't use tags, leaving out: security")));
+});
+
+test('a tag that fails to resolve leaves the thread unfingerprinted so the next sync retries it', async () => {
+  syncService.taxonomyService.hashtagTags = true;
+  messages[1].text = 'Run the rotate script #security';
+
+  // The stand-in API has no tag routes, so resolving #security fails
+  const created = await syncService.syncThread(THREAD_TS, CHANNEL_ID);
+  assert.strictEqual(created.action, 'created');
+  assert.deepStrictEqual(created.tags, []);
+  assert.strictEqual(syncService.stateManager.getMapping(CHANNEL_ID, THREAD_TS).fingerprint, undefined);
+
+  const retried = await syncService.syncThread(THREAD_TS, CHANNEL_ID);
+  assert.strictEqual(retried.action, 'updated');
+  assert.strictEqual(retried.postId, created.postId);
+});
+
+test('a thread synced without problems is skipped while unchanged', async () => {
+  const created = await syncService.syncThread(THREAD_TS, CHANNEL_ID);
+  assert.strictEqual(created.action, 'created');
+
+  const again = await syncService.syncThread(THREAD_TS, CHANNEL_ID);
+  assert.strictEqual(again.action, 'skipped');
+  assert.strictEqual(again.reason, 'unchanged');
+});
+
+test('the post status is stored as WordPress reports it, so scheduled posts are kept as future', async () => {
+  const date = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+  const created = await syncService.syncThread(THREAD_TS, CHANNEL_ID, { date });
+  assert.strictEqual(wordpress.requests[0].body.status, 'publish');
+  assert.strictEqual(created.status, 'future');
+  assert.strictEqual(syncService.stateManager.getPostStatus(CHANNEL_ID, THREAD_TS), 'future');
+});
+
+test('updating a post sends the full term lists, so removed tags are cleared', async () => {
+  wordpress.terms = [];
+  syncService.taxonomyService.hashtagTags = true;
+  messages[1].text = 'Run the rotate script #security';
+
+  const created = await syncService.syncThread(THREAD_TS, CHANNEL_ID);
+  assert.strictEqual(created.tags.length, 1);
+  assert.deepStrictEqual(wordpress.requests.at(-1).body.tags, created.tags);
+
+  messages[1].text = 'Run the rotate script';
+  const updated = await syncService.syncThread(THREAD_TS, CHANNEL_ID);
+  assert.strictEqual(updated.action, 'updated');
+  const update = wordpress.requests.at(-1);
+  assert.strictEqual(update.method, 'PUT');
+  assert.deepStrictEqual(update.body.tags, []);
+  assert.deepStrictEqual(update.body.categories, []);
+  assert.deepStrictEqual(wordpress.posts.get(created.postId).tags, []);
+});
+
+test('updating a post keeps its terms when some could not be resolved', async () => {
+  syncService.taxonomyService.hashtagTags = true;
+  const created = await syncService.syncThread(THREAD_TS, CHANNEL_ID);
+
+  // The stand-in API has no tag routes, so resolving #security fails
+  messages[1].text = 'Run the rotate script #security';
+  const updated = await syncService.syncThread(THREAD_TS, CHANNEL_ID);
+  assert.strictEqual(updated.postId, created.postId);
+  const update = wordpress.requests.at(-1);
+  assert.strictEqual(update.method, 'PUT');
+  assert.ok(!('tags' in update.body));
+  assert.ok(!('categories' in update.body));
+});
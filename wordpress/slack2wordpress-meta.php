@@ -0,0 +1,45 @@
+<?php
+/**
+ * Plugin Name: Slack to WordPress Sync Meta
+ * Description: Registers the post meta that describes the Slack thread of a post (channel, thread, permalink, participant and reply counts), so the Slack to WordPress sync can rebuild its state from WordPress.
+ * Version: 1.2.0
+ */
+
+add_action('init', function () {
+    $meta = [
+        'slack_channel_id' => 'string',
+        'slack_thread_ts' => 'string',
+        'slack_permalink' => 'string',
+        'slack_participant_count' => 'integer',
+        'slack_reply_count' => 'integer',
+    ];
+
+    // Registered for every post type, so custom post types (e.g. kb_article) work too.
+    // A post type only shows meta in the REST API if it supports 'custom-fields'.
+    foreach ($meta as $meta_key => $type) {
+        register_post_meta('', $meta_key, [
+            'type' => $type,
+            'single' => true,
+            'show_in_rest' => true,
+            'auth_callback' => function () {
+                return current_user_can('edit_posts');
+            },
+        ]);
+    }
+});
+
+// Read-only: the status a trashed post had before it was trashed (WordPress keeps it in the
+// protected _wp_trash_meta_status meta), so the sync can restore the post as it was.
+add_action('rest_api_init', function () {
+    register_rest_field(get_post_types(['show_in_rest' => true]), 'pre_trash_status', [
+        'get_callback' => function ($post) {
+            return get_post_meta($post['id'], '_wp_trash_meta_status', true) ?: null;
+        },
+        'schema' => [
+            'description' => 'Status of the post before it was moved to the trash',
+            'type' => ['string', 'null'],
+            'context' => ['edit'],
+            'readonly' => true,
+        ],
+    ]);
+});